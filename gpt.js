@@ -1,15 +1,16 @@
 #! /usr/bin/env node
-import { Command } from "commander";
+import { Command, Option } from "commander";
 import { OpenAI } from "openai";
+import { createTwoFilesPatch } from "diff";
 import fs from "fs";
 import readline from "readline";
 import path from "path";
 import os from "os";
-import { fileURLToPath } from "url";
-import { spawn } from "child_process";
+import { fileURLToPath, pathToFileURL } from "url";
+import { spawn, spawnSync } from "child_process";
+import crypto from "crypto";
 
 const program = new Command();
-const client = new OpenAI();
 
 // Configuration helpers for default model persistence
 function getConfigDir() {
@@ -21,7 +22,7 @@ function getConfigPath() {
   return path.join(getConfigDir(), "config.json");
 }
 
-function readConfig() {
+function readGlobalConfig() {
   try {
     const p = getConfigPath();
     if (fs.existsSync(p)) {
@@ -31,10 +32,286 @@ function readConfig() {
   return {};
 }
 
-function writeConfig(cfg) {
+// Walk up from the cwd and return the first existing candidate (relative paths tried in each directory)
+function findUp(candidates, from = process.cwd()) {
+  let dir = path.resolve(from);
+  while (true) {
+    for (const c of candidates) {
+      const p = path.join(dir, c);
+      try { if (fs.statSync(p).isFile()) return p; } catch (_) {}
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+// Project config: the nearest .gpt/config.json at or above the cwd, layered over the global config.json
+function getProjectConfigPath() {
+  return findUp([path.join('.gpt', 'config.json')]);
+}
+
+const warnedConfigFiles = new Set();
+function readProjectConfig() {
+  const p = getProjectConfigPath();
+  if (!p) return {};
   try {
-    fs.mkdirSync(getConfigDir(), { recursive: true });
-    fs.writeFileSync(getConfigPath(), JSON.stringify(cfg, null, 2));
+    return JSON.parse(fs.readFileSync(p, "utf8"));
+  } catch (e) {
+    if (!warnedConfigFiles.has(p)) {
+      warnedConfigFiles.add(p);
+      console.error(`Failed to read ${p}:`, e?.message || e);
+    }
+    return {};
+  }
+}
+
+const isPlainObject = (v) => !!v && typeof v === 'object' && !Array.isArray(v);
+
+// A project config arrives with whatever repo was cloned, so it only gets model and display settings.
+// Hooks, MCP servers, custom tools and provider endpoints run commands or receive API keys: those load only
+// once the project directory is listed in the global config's "trustedProjects" (gpt trust).
+const PROJECT_CONFIG_KEYS = [
+  'defaultProvider', 'defaultModel', 'temperature', 'maxTokens', 'api', 'reasoningEffort', 'reasoningSummary',
+  'role', 'dev', 'quiet', 'stream', 'instructions', 'budget', 'jsonRetries', 'retries', 'models', 'prices',
+  'contextLimits', 'diff', 'debug',
+];
+const TRUSTED_PROJECT_KEYS = ['providers', 'mcpServers', 'hooks', 'tools'];
+
+// The directory holding .gpt/ (or the cwd when there is no project config)
+function getProjectDir() {
+  const p = getProjectConfigPath();
+  return p ? path.dirname(path.dirname(p)) : process.cwd();
+}
+
+function canonicalDir(dir) {
+  try { return fs.realpathSync(path.resolve(dir)); } catch (_) { return path.resolve(dir); }
+}
+
+function getTrustedProjects() {
+  const list = readGlobalConfig().trustedProjects;
+  return Array.isArray(list) ? list.map(String) : [];
+}
+
+function isTrustedProject(dir = getProjectDir()) {
+  const target = canonicalDir(dir);
+  return getTrustedProjects().some(d => canonicalDir(d) === target);
+}
+
+// The part of the project config that applies; anything else is reported once and left out
+function readProjectLayer() {
+  const raw = readProjectConfig();
+  const trusted = isTrustedProject();
+  const layer = {};
+  const untrusted = [];
+  const globalOnly = [];
+  for (const [key, value] of Object.entries(raw)) {
+    if (PROJECT_CONFIG_KEYS.includes(key) || (trusted && TRUSTED_PROJECT_KEYS.includes(key))) layer[key] = value;
+    else (TRUSTED_PROJECT_KEYS.includes(key) ? untrusted : globalOnly).push(key);
+  }
+  const file = getProjectConfigPath();
+  if ((untrusted.length || globalOnly.length) && !warnedConfigFiles.has(`${file}:ignored`)) {
+    warnedConfigFiles.add(`${file}:ignored`);
+    if (untrusted.length) console.error(`[Ignoring ${untrusted.join(', ')} in ${file}: run "gpt trust" in ${getProjectDir()} to load them]`);
+    if (globalOnly.length) console.error(`[Ignoring ${globalOnly.join(', ')} in ${file}: only the global config can set them]`);
+  }
+  return layer;
+}
+
+// Known settings, by dotted key. "option" names the CLI option a value is the default for.
+// "globalOnly" keys approve tool calls or widen the sandbox: neither a project config nor GPT_CLI_* may set them.
+const CONFIG_KEYS = {
+  defaultProvider: { type: 'string', description: 'Provider profile used without --provider' },
+  defaultModel: { type: 'string', description: 'Default model of the openai profile' },
+  temperature: { type: 'number', min: 0, max: 2, option: 'temperature', description: 'Sampling temperature' },
+  maxTokens: { type: 'integer', min: 1, option: 'maxTokens', description: 'Max output tokens' },
+  api: { type: 'string', choices: ['chat', 'responses'], description: 'Model API (per model: models.<id>.api)' },
+  reasoningEffort: { type: 'string', choices: ['none', 'minimal', 'low', 'medium', 'high', 'xhigh'], description: 'Reasoning effort (per model: models.<id>.reasoningEffort)' },
+  reasoningSummary: { type: 'string', choices: ['auto', 'concise', 'detailed'], description: 'Show reasoning summaries (Responses API)' },
+  role: { type: 'string', option: 'role', description: 'System message added before the prompt' },
+  dev: { type: 'boolean', option: 'dev', description: 'Append dev rules to prompts' },
+  quiet: { type: 'boolean', option: 'quiet', description: 'Do not print responses' },
+  stream: { type: 'boolean', option: 'stream', description: 'Stream output' },
+  instructions: { type: 'boolean', option: 'instructions', description: 'Send GPT.md / .gpt/instructions.md' },
+  budget: { type: 'number', min: 0, option: 'budget', description: 'USD limit for one run of the tool loop' },
+  jsonRetries: { type: 'integer', min: 0, option: 'jsonRetries', description: 'Retries for --json / --schema replies' },
+  retries: { type: 'integer', min: 0, option: 'retries', description: 'Retries for rate-limited, server and network errors' },
+  yes: { type: 'boolean', globalOnly: true, option: 'yes', description: 'Approve every tool request' },
+  denyAll: { type: 'boolean', globalOnly: true, option: 'denyAll', description: 'Deny every tool request' },
+  workspace: { type: 'string', globalOnly: true, option: 'workspace', description: 'Directory file tools are confined to' },
+  allowRoot: { type: 'string[]', globalOnly: true, option: 'allowRoot', description: 'Extra directories file tools may access' },
+  sandbox: { type: 'boolean', globalOnly: true, option: 'sandbox', description: 'Confine file tools to the workspace' },
+  'permissions.allowRead': { type: 'boolean', globalOnly: true, option: 'allowRead', description: 'Approve all file reads' },
+  'permissions.allowWrite': { type: 'string[]', globalOnly: true, option: 'allowWrite', description: 'Globs writes are approved for' },
+  'permissions.allowCommand': { type: 'string[]', globalOnly: true, option: 'allowCommand', description: 'Command prefixes or /regex/ approved' },
+  'diff.enabled': { type: 'boolean', description: 'Preview diffs before writes (/diff on|off)' },
+  'diff.thresholdLines': { type: 'integer', min: 0, description: 'Only preview diffs with more changed lines (/diff threshold)' },
+  'diff.maxLines': { type: 'integer', min: 10, description: 'Max diff lines shown (/diff maxlines)' },
+  'log.enabled': { type: 'boolean', description: 'Log tool calls (/log on|off)' },
+  'log.file': { type: 'string', description: 'Tool log file (/log set)' },
+  debug: { type: 'boolean', description: 'Print tool call details (/debug on|off)' },
+  centralSessions: { type: 'boolean', description: 'Keep sessions in the config directory' },
+  sessionsDir: { type: 'string', description: 'Directory for sessions' },
+};
+// Sections keyed by user-chosen names; anything below them is free-form JSON
+const CONFIG_SECTIONS = ['providers', 'models', 'prices', 'contextLimits', 'mcpServers', 'hooks', 'tools'];
+
+function getConfigValue(cfg, key) {
+  return key.split('.').reduce((o, k) => (isPlainObject(o) ? o[k] : undefined), cfg);
+}
+
+function setConfigValue(cfg, key, value) {
+  const parts = key.split('.');
+  let node = cfg;
+  for (const part of parts.slice(0, -1)) {
+    if (!isPlainObject(node[part])) node[part] = {};
+    node = node[part];
+  }
+  node[parts[parts.length - 1]] = value;
+}
+
+// Removes the key and any parents left empty; returns false if it was not set
+function unsetConfigValue(cfg, key) {
+  const parts = key.split('.');
+  const chain = [cfg];
+  for (const part of parts.slice(0, -1)) {
+    const next = chain[chain.length - 1][part];
+    if (!isPlainObject(next)) return false;
+    chain.push(next);
+  }
+  const last = parts[parts.length - 1];
+  if (!(last in chain[chain.length - 1])) return false;
+  delete chain[chain.length - 1][last];
+  for (let i = chain.length - 1; i > 0; i--) {
+    if (Object.keys(chain[i]).length) break;
+    delete chain[i - 1][parts[i - 1]];
+  }
+  return true;
+}
+
+// A globalOnly key, or a section holding one (permissions)
+function isGlobalOnlyKey(key) {
+  return Object.entries(CONFIG_KEYS).some(([k, spec]) => spec.globalOnly && (k === key || k.startsWith(key + '.')));
+}
+
+function validateConfigKey(key) {
+  if (CONFIG_KEYS[key]) return;
+  const [root, ...rest] = key.split('.');
+  if (CONFIG_SECTIONS.includes(root) && rest.every(Boolean)) return;
+  throw new Error(`Unknown config key "${key}". Known keys: ${Object.keys(CONFIG_KEYS).join(', ')}; sections: ${CONFIG_SECTIONS.join(', ')}`);
+}
+
+// Parse a string (from the command line or the environment) into the key's type
+function parseConfigValue(key, raw) {
+  const spec = CONFIG_KEYS[key];
+  const text = String(raw).trim();
+  if (!spec) {
+    try { return JSON.parse(text); } catch (_) { return String(raw); }
+  }
+  if (spec.type === 'boolean') {
+    if (/^(true|on|yes|1)$/i.test(text)) return true;
+    if (/^(false|off|no|0)$/i.test(text)) return false;
+    throw new Error(`${key} must be true or false`);
+  }
+  if (spec.type === 'number' || spec.type === 'integer') {
+    const n = text === '' ? NaN : Number(text);
+    if (!Number.isFinite(n) || (spec.type === 'integer' && !Number.isInteger(n))) {
+      throw new Error(`${key} must be ${spec.type === 'integer' ? 'an integer' : 'a number'}`);
+    }
+    if (spec.min !== undefined && n < spec.min) throw new Error(`${key} must be at least ${spec.min}`);
+    if (spec.max !== undefined && n > spec.max) throw new Error(`${key} must be at most ${spec.max}`);
+    return n;
+  }
+  if (spec.type === 'string[]') {
+    if (text.startsWith('[')) {
+      let list;
+      try { list = JSON.parse(text); } catch (_) {}
+      if (!Array.isArray(list)) throw new Error(`${key} must be a JSON array or a comma-separated list`);
+      return list.map(String);
+    }
+    return text.split(',').map(s => s.trim()).filter(Boolean);
+  }
+  if (spec.choices && !spec.choices.includes(text)) throw new Error(`${key} must be one of ${spec.choices.join(', ')}`);
+  return String(raw);
+}
+
+// Whether a value already in a config file has the key's type (mistyped values are ignored)
+function configValueValid(key, value) {
+  const spec = CONFIG_KEYS[key];
+  if (!spec) return true;
+  if (spec.type === 'string[]') return Array.isArray(value);
+  if (spec.type === 'boolean') return typeof value === 'boolean';
+  if (spec.type === 'string') return typeof value === 'string' && (!spec.choices || spec.choices.includes(value));
+  if (!Number.isFinite(value) || (spec.type === 'integer' && !Number.isInteger(value))) return false;
+  return !(spec.min !== undefined && value < spec.min) && !(spec.max !== undefined && value > spec.max);
+}
+
+// diff.maxLines -> GPT_CLI_DIFF__MAX_LINES
+function configEnvName(key) {
+  return 'GPT_CLI_' + key.split('.').map(p => p.replace(/([a-z0-9])([A-Z])/g, '$1_$2').replace(/-/g, '_').toUpperCase()).join('__');
+}
+
+// Map GPT_CLI_* back to a key: known keys first, then names already in the config, else camelCase
+function envConfigKey(name, cfg) {
+  const known = Object.keys(CONFIG_KEYS).find(k => configEnvName(k) === name);
+  if (known) return known;
+  const parts = [];
+  let node = cfg;
+  for (const seg of name.slice('GPT_CLI_'.length).split('__')) {
+    const norm = seg.replace(/_/g, '').toLowerCase();
+    const existing = isPlainObject(node) ? Object.keys(node).find(k => k.replace(/[_-]/g, '').toLowerCase() === norm) : undefined;
+    const part = existing ?? seg.toLowerCase().replace(/_([a-z0-9])/g, (_, c) => c.toUpperCase());
+    parts.push(part);
+    node = isPlainObject(node) ? node[part] : undefined;
+  }
+  return parts.join('.');
+}
+
+const warnedEnvOverrides = new Set();
+function envConfigOverrides(cfg) {
+  const overrides = [];
+  for (const [name, raw] of Object.entries(process.env)) {
+    if (!name.startsWith('GPT_CLI_') || raw === undefined) continue;
+    const key = envConfigKey(name, cfg);
+    try {
+      validateConfigKey(key);
+      if (isGlobalOnlyKey(key)) throw new Error(`${key} can only be set in the global config or with a flag`);
+      overrides.push({ name, key, value: parseConfigValue(key, raw) });
+    } catch (e) {
+      if (!warnedEnvOverrides.has(name)) {
+        warnedEnvOverrides.add(name);
+        console.error(`Ignoring ${name}: ${e.message}`);
+      }
+    }
+  }
+  return overrides;
+}
+
+// Project values win; objects (providers, prices, hooks, ...) are merged one level deep.
+// GPT_CLI_* environment variables override both.
+function readConfig() {
+  const cfg = readGlobalConfig();
+  for (const [key, value] of Object.entries(readProjectLayer())) {
+    cfg[key] = isPlainObject(value) && isPlainObject(cfg[key]) ? { ...cfg[key], ...value } : value;
+  }
+  for (const { key, value } of envConfigOverrides(cfg)) setConfigValue(cfg, key, value);
+  return cfg;
+}
+
+// Which layer a config value comes from, for /model and gpt config list
+function configSource(keys) {
+  const key = keys.join('.');
+  const env = envConfigOverrides(readConfig()).find(o => o.key === key || o.key.startsWith(key + '.'));
+  if (env) return `env ${env.name}`;
+  if (getConfigValue(readProjectLayer(), key) !== undefined) return `project config ${getProjectConfigPath()}`;
+  if (getConfigValue(readGlobalConfig(), key) !== undefined) return `global config ${getConfigPath()}`;
+  return null;
+}
+
+function writeConfig(cfg, file = getConfigPath()) {
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(cfg, null, 2) + '\n');
     return true;
   } catch (e) {
     console.error("Failed to write config:", e?.message || e);
@@ -42,33 +319,213 @@ function writeConfig(cfg) {
   }
 }
 
-function getDefaultModel() {
+function collect(value, previous) {
+  return (previous || []).concat([value]);
+}
+
+// Provider profiles: named OpenAI-compatible endpoints under "providers" in config.json.
+// The built-in "openai" profile uses the SDK defaults (OPENAI_API_KEY, OPENAI_BASE_URL).
+function getProviderProfiles() {
+  const cfg = readConfig();
+  const configured = cfg.providers && typeof cfg.providers === 'object' ? cfg.providers : {};
+  return { openai: { apiKeyEnv: 'OPENAI_API_KEY' }, ...configured };
+}
+
+function resolveProviderName(name) {
+  return name || readConfig().defaultProvider || 'openai';
+}
+
+function getDefaultModel(providerName = resolveProviderName()) {
   const cfg = readConfig();
-  return cfg.defaultModel || "gpt-4.1-mini";
+  const profile = getProviderProfiles()[providerName];
+  // Top-level defaultModel predates profiles and still applies to the openai profile
+  return profile?.defaultModel || (providerName === 'openai' && cfg.defaultModel) || "gpt-4.1-mini";
+}
+
+function setDefaultModel(providerName, model) {
+  const cfg = readGlobalConfig();
+  if (providerName === 'openai' && !cfg.providers?.openai) {
+    cfg.defaultModel = model;
+  } else {
+    cfg.providers = cfg.providers || {};
+    cfg.providers[providerName] = { ...(cfg.providers[providerName] || {}), defaultModel: model };
+  }
+  return writeConfig(cfg);
+}
+
+// Exit codes by failure class, so scripts can tell a bad key from a flaky network
+const EXIT_CODES = {
+  error: 1,
+  invalidOutput: 3,
+  auth: 4,
+  quota: 5,
+  rateLimit: 6,
+  contextLength: 7,
+  model: 8,
+  network: 9,
+  server: 10,
+  badRequest: 11,
+};
+
+function createClient(providerName) {
+  const profile = getProviderProfiles()[providerName];
+  if (!profile) {
+    throw new Error(`Unknown provider "${providerName}". Define it under "providers" in ${getConfigPath()}.`);
+  }
+  const keyEnv = profile.apiKeyEnv || null;
+  const apiKey = keyEnv ? process.env[keyEnv] : undefined;
+  if (keyEnv && !apiKey) {
+    throw Object.assign(new Error(`The ${keyEnv} environment variable is missing or empty (provider "${providerName}").`), { exitCode: EXIT_CODES.auth });
+  }
+  return new OpenAI({
+    // Profiles without apiKeyEnv are keyless (e.g. local model servers); the SDK still needs a value
+    apiKey: apiKey || 'none',
+    baseURL: profile.baseURL || undefined,
+    defaultHeaders: profile.headers && typeof profile.headers === 'object' ? profile.headers : undefined,
+    timeout: Number.isFinite(profile.timeoutMs) ? profile.timeoutMs : undefined,
+    // requestModelReply retries with its own backoff and notices
+    maxRetries: 0,
+  });
 }
 
 program
   .name('gpt')
   .description('Simple ChatGPT CLI')
-  .argument('[prompt]', 'GPT prompt. If omitted, starts interactive mode.')
+  // Global options go before a subcommand, so subcommands can reuse short flags like -o
+  .enablePositionalOptions()
+  .argument('[prompt...]', 'GPT prompt, or /command [args] for a custom command. If omitted, starts interactive mode.')
   .option('-i, --in <filepath>', 'Input file passed with prompt')
+  .option('--image <path>', 'Attach an image to the prompt (repeatable)', collect)
   .option('-o, --out <filepath>', 'Response output (will still print)')
   .option('-r, --role <message>', 'Add system message before the prompt')
   .option('-d, --dev', 'Append prompt with dev rules for output')
-  .option('-m, --model <id>', 'The model to prompt', getDefaultModel())
-  .option('--set-default-model <id>', 'Set and save the default model, then exit')
+  .option('-m, --model <id>', 'The model to prompt (default: the provider\'s default model)')
+  .option('-p, --provider <name>', 'Provider profile from config.json (default: openai)')
+  .option('--set-default-model <id>', 'Set and save the default model for the provider, then exit')
   .option('-t, --temperature <number>', 'Sampling temperature (0-2)', (v) => parseFloat(v))
   .option('--max-tokens <number>', 'Max output tokens', (v) => parseInt(v, 10))
+  .addOption(new Option('--api <api>', 'Model API (default: responses for OpenAI reasoning models, else chat)').choices(['chat', 'responses']))
+  .addOption(new Option('--reasoning-effort <level>', 'Reasoning effort for reasoning models').choices(CONFIG_KEYS.reasoningEffort.choices))
+  .addOption(new Option('--reasoning-summary [mode]', 'Show the model\'s reasoning summaries (Responses API)').choices(CONFIG_KEYS.reasoningSummary.choices).preset('auto'))
   .option('-q, --quiet', 'Will not print response')
   .option('-s, --session <project>', 'Save/load chat history to project file')
   .option('-I, --interactive', 'Start interactive chat REPL')
   .option('--update', 'Run ./installer/update.sh and exit')
   .option('--no-stream', 'Disable streaming output')
-  .parse();
+  .option('--allow-read', 'Approve all file reads without asking')
+  .option('--allow-write <glob>', 'Approve writes to paths matching glob (repeatable)', collect)
+  .option('--allow-command <pattern>', 'Approve commands by prefix or /regex/ (repeatable)', collect)
+  .option('-y, --yes', 'Approve every tool request without asking')
+  .option('--deny-all', 'Deny every tool request without asking')
+  .option('--workspace <dir>', 'Confine file tools to this directory (default: cwd)')
+  .option('--allow-root <dir>', 'Extra directory file tools may access (repeatable)', collect)
+  .option('--no-sandbox', 'Let file tools access paths outside the workspace')
+  .option('--budget <usd>', 'Stop the tool loop once this run has cost this many USD', (v) => parseFloat(v))
+  .option('--no-instructions', 'Do not send the project instructions file (GPT.md or .gpt/instructions.md)')
+  .option('--print-config', 'Print the merged config (global, project and GPT_CLI_* variables), then exit')
+  .option('--json', 'Print the reply only if it is valid JSON (exit code 3 otherwise)')
+  .option('--schema <file>', 'Like --json, and the reply must match this JSON Schema')
+  .option('--extract <dir>', 'Write the reply\'s fenced code blocks to files under <dir>')
+  .option('--json-retries <n>', 'Times to ask the model to fix an invalid reply', (v) => parseInt(v, 10), 2)
+  .option('--retries <n>', 'Times to retry rate-limited, server and network errors', (v) => parseInt(v, 10), 3)
+  .action(() => {});
+
+// Subcommands only record what was asked for; main() dispatches after setup
+let subcommand = null;
+program
+  .command('usage')
+  .description('Show token usage and cost totals per model')
+  .option('--days <n>', 'Only include the last <n> days', (v) => parseInt(v, 10))
+  .action((opts) => { subcommand = { name: 'usage', opts }; });
+
+program
+  .command('export')
+  .description('Export a session to Markdown, HTML or JSONL')
+  .argument('<session>', 'Session name or .gptp path')
+  .option('-f, --format <format>', 'md, html or jsonl', 'md')
+  .option('-o, --out <file>', 'Write to a file instead of stdout')
+  .option('--include-system', 'Include system messages')
+  .option('--full-tool-output', 'Include complete tool outputs instead of previews')
+  .action((session, opts) => { subcommand = { name: 'export', session, opts }; });
+
+program
+  .command('sessions')
+  .description('Manage saved sessions')
+  .command('list', { isDefault: true })
+  .description('List sessions with message count, last-modified time and first prompt')
+  .action(() => { subcommand = { name: 'sessions-list' }; });
+
+program
+  .command('trust')
+  .description('Let a project config load hooks, MCP servers, custom tools and providers')
+  .argument('[dir]', 'Project directory (default: the one holding the nearest .gpt/config.json, else the cwd)')
+  .option('--revoke', 'Stop trusting the directory')
+  .option('--list', 'List trusted directories')
+  .action((dir, opts) => { subcommand = { name: 'trust', dir, opts }; });
+
+const configCommand = program
+  .command('config')
+  .description('Show or change settings in config.json (--project: the nearest .gpt/config.json)');
+configCommand
+  .command('list', { isDefault: true })
+  .description('List every set key with its value and where it comes from')
+  .option('--project', 'Only the project config')
+  .option('--global', 'Only the global config')
+  .action((opts) => { subcommand = { name: 'config', action: 'list', opts }; });
+configCommand
+  .command('get')
+  .description('Print the effective value of a key')
+  .argument('<key>', 'Dotted key, e.g. diff.maxLines')
+  .action((key) => { subcommand = { name: 'config', action: 'get', key, opts: {} }; });
+configCommand
+  .command('set')
+  .description('Validate and save a value')
+  .argument('<key>', 'Dotted key, e.g. diff.maxLines')
+  .argument('<value>', 'Value; lists are comma-separated or JSON')
+  .option('--project', 'Write to the project config')
+  .action((key, value, opts) => { subcommand = { name: 'config', action: 'set', key, value, opts }; });
+configCommand
+  .command('unset')
+  .description('Remove a key')
+  .argument('<key>', 'Dotted key')
+  .option('--project', 'Write to the project config')
+  .action((key, opts) => { subcommand = { name: 'config', action: 'unset', key, opts }; });
+configCommand
+  .command('edit')
+  .description('Open the config file in $VISUAL or $EDITOR')
+  .option('--project', 'Edit the project config')
+  .action((opts) => { subcommand = { name: 'config', action: 'edit', opts }; });
+configCommand
+  .command('keys')
+  .description('List the known keys and their types')
+  .action(() => { subcommand = { name: 'config', action: 'keys', opts: {} }; });
 
-const prompt = program.args[0];
+program.parse();
+
+const prompt = subcommand ? undefined : program.args[0];
+// Extra words are only allowed as arguments to a custom command (gpt /review src/x.js)
+const promptArgs = subcommand ? [] : program.args.slice(1);
 const options = program.opts();
 
+let activeProvider = resolveProviderName(options.provider);
+// Where each effective setting came from, shown by /model
+const settingSources = {
+  provider: options.provider ? 'flag --provider' : (configSource(['defaultProvider']) || 'default'),
+  model: options.model ? 'flag --model' : null,
+  temperature: options.temperature !== undefined ? 'flag --temperature' : null,
+  maxTokens: options.maxTokens !== undefined ? 'flag --max-tokens' : null,
+  api: options.api ? 'flag --api' : null,
+  reasoningEffort: options.reasoningEffort ? 'flag --reasoning-effort' : null,
+  reasoningSummary: options.reasoningSummary ? 'flag --reasoning-summary' : null
+};
+if (!options.model) {
+  options.model = getDefaultModel(activeProvider);
+  settingSources.model = configSource(['providers', activeProvider, 'defaultModel'])
+    || (activeProvider === 'openai' ? configSource(['defaultModel']) : null)
+    || 'default';
+}
+let client = null;
+
 let fileData = "";
 if (options.in) {
   try {
@@ -81,10 +538,104 @@ if (options.in) {
 
 let chatHistory = [];
 let todoList = [];
+let sessionUsage = [];
 let debugEnabled = false;
 let logging = { enabled: false, file: path.join(process.cwd(), 'gpt-tools.log') };
 let diffPreview = { enabled: true, thresholdLines: 0, maxLines: 400 };
 
+// Apply config values (global, project or GPT_CLI_*) to every option not given as a flag.
+// List options (allowWrite, allowCommand, allowRoot) are added to the flags instead.
+function applyConfigDefaults() {
+  const cfg = readConfig();
+  for (const [key, spec] of Object.entries(CONFIG_KEYS)) {
+    const value = getConfigValue(cfg, key);
+    if (!spec.option || value === undefined || !configValueValid(key, value)) continue;
+    if (spec.type === 'string[]') {
+      options[spec.option] = (options[spec.option] || []).concat(value);
+    } else if (program.getOptionValueSource(spec.option) !== 'cli') {
+      options[spec.option] = value;
+    } else {
+      continue;
+    }
+    if (spec.option in settingSources) settingSources[spec.option] = configSource(key.split('.'));
+  }
+  if (isPlainObject(cfg.permissions)) settingSources.permissions = configSource(['permissions']);
+  for (const key of ['diff.enabled', 'diff.thresholdLines', 'diff.maxLines']) {
+    const value = getConfigValue(cfg, key);
+    if (value !== undefined && configValueValid(key, value)) diffPreview[key.slice(5)] = value;
+  }
+  if (isPlainObject(cfg.diff)) settingSources.diff = configSource(['diff']);
+  if (configValueValid('debug', cfg.debug)) debugEnabled = cfg.debug;
+  if (configValueValid('log.enabled', cfg.log?.enabled)) logging.enabled = cfg.log.enabled;
+  if (configValueValid('log.file', cfg.log?.file)) logging.file = path.resolve(cfg.log.file.replace(/^~(?=$|[\\/])/, os.homedir()));
+}
+
+applyConfigDefaults();
+
+// Project instructions: the nearest GPT.md or .gpt/instructions.md at or above the cwd,
+// sent as a leading system message on every request (not stored in the session)
+function loadProjectInstructions() {
+  if (options.instructions === false) return null;
+  const file = findUp(['GPT.md', path.join('.gpt', 'instructions.md')]);
+  if (!file) return null;
+  try {
+    const text = fs.readFileSync(file, 'utf8').trim();
+    return text ? { file, text } : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+const projectInstructions = loadProjectInstructions();
+
+// --json / --schema (one-shot): ask for structured output and check it locally before it reaches stdout
+function loadStructuredOutput() {
+  if (!options.json && !options.schema) return null;
+  if (!Number.isInteger(options.jsonRetries) || options.jsonRetries < 0) {
+    console.error('Error: --json-retries must be a whole number');
+    process.exit(1);
+  }
+  if (!options.schema) {
+    return {
+      schema: null,
+      responseFormat: { type: 'json_object' },
+      instruction: 'Reply with a single JSON object and nothing else: no Markdown fences, no commentary.'
+    };
+  }
+  let schema;
+  try {
+    schema = JSON.parse(fs.readFileSync(options.schema, 'utf8'));
+  } catch (e) {
+    console.error(`Error: cannot read schema ${options.schema}: ${e?.message || e}`);
+    process.exit(1);
+  }
+  // Also accept OpenAI's { name, schema, strict } wrapper
+  let name = path.basename(options.schema).replace(/\.json$/i, '');
+  let strict = false;
+  if (isPlainObject(schema?.schema) && typeof schema.name === 'string') {
+    ({ name, strict = false } = schema);
+    schema = schema.schema;
+  }
+  if (!isPlainObject(schema)) {
+    console.error(`Error: ${options.schema} does not contain a JSON Schema object`);
+    process.exit(1);
+  }
+  name = name.replace(/[^a-zA-Z0-9_-]/g, '_').slice(0, 64) || 'reply';
+  return {
+    schema,
+    responseFormat: { type: 'json_schema', json_schema: { name, schema, strict: !!strict } },
+    instruction: `Reply with a single JSON value and nothing else: no Markdown fences, no commentary. It must match this JSON Schema:\n${JSON.stringify(schema)}`
+  };
+}
+
+const structuredOutput = loadStructuredOutput();
+
+// Status lines ([Read ...], [Context: ...], retries, hooks): stdout as usual, but stderr under --json/--schema,
+// where stdout carries nothing but the checked JSON
+function logStatus(...args) {
+  (structuredOutput ? console.error : console.log)(...args);
+}
+
 // Resolve project directory from current file location
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -112,8 +663,75 @@ function ensureGptpExt(name) {
   return name.endsWith('.gptp') ? name : name + '.gptp';
 }
 
+// Sessions live in the cwd unless config.json sets "centralSessions": true (or a "sessionsDir")
+function getCentralSessionsDir() {
+  const cfg = readConfig();
+  if (cfg.sessionsDir) return path.resolve(String(cfg.sessionsDir).replace(/^~(?=$|[\\/])/, os.homedir()));
+  if (cfg.centralSessions) return path.join(getConfigDir(), 'sessions');
+  return null;
+}
+
+function getSessionsDir() {
+  return getCentralSessionsDir() || process.cwd();
+}
+
+// Bare names go to the sessions dir; anything that looks like a path is used as given
+function resolveSessionPath(name) {
+  const file = ensureGptpExt(name);
+  const central = getCentralSessionsDir();
+  if (!central || path.isAbsolute(file) || /[\\/]/.test(file)) return file;
+  fs.mkdirSync(central, { recursive: true });
+  return path.join(central, file);
+}
+
+function sessionName(file) {
+  return path.basename(file).replace(/\.gptp$/i, '');
+}
+
+function readSessionPayload(file) {
+  const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+  // Legacy format: array = chatHistory only
+  return Array.isArray(parsed) ? { chatHistory: parsed } : (parsed && typeof parsed === 'object' ? parsed : {});
+}
+
+function listSessions() {
+  const dir = getSessionsDir();
+  let files = [];
+  try { files = fs.readdirSync(dir).filter(f => f.toLowerCase().endsWith('.gptp')); } catch (_) {}
+  return files.map((f) => {
+    const full = path.join(dir, f);
+    const info = { name: sessionName(f), path: full, messages: 0, modified: null, firstPrompt: '', cwd: null };
+    try {
+      info.modified = fs.statSync(full).mtime;
+      const payload = readSessionPayload(full);
+      const history = Array.isArray(payload.chatHistory) ? payload.chatHistory : [];
+      info.messages = history.filter(m => m.role !== 'system').length;
+      const first = history.find(isPromptMessage);
+      info.firstPrompt = first ? messageText(first.content).replace(/\s+/g, ' ').slice(0, 60) : '';
+      info.cwd = payload.cwd || null;
+    } catch (_) {}
+    return info;
+  }).sort((a, b) => (b.modified?.getTime() || 0) - (a.modified?.getTime() || 0));
+}
+
+function printSessions() {
+  const sessions = listSessions();
+  console.log(`[Sessions in ${getSessionsDir()}: ${sessions.length}]`);
+  for (const s of sessions) {
+    const current = sessionFile && path.resolve(sessionFile) === path.resolve(s.path) ? '*' : ' ';
+    const when = s.modified ? s.modified.toLocaleString() : '?';
+    console.log(` ${current} ${s.name}  ${s.messages} msg(s)  ${when}  ${s.path}`);
+    if (s.firstPrompt) console.log(`     ${s.firstPrompt}`);
+  }
+}
+
 function findCwdSessionFile() {
   try {
+    if (getCentralSessionsDir()) {
+      // Central storage: newest session started from this directory
+      const match = listSessions().find(s => s.cwd === process.cwd());
+      return match ? match.path : undefined;
+    }
     const files = fs.readdirSync(process.cwd()).filter(f => f.toLowerCase().endsWith('.gptp'));
     if (files.length === 1) return files[0];
     if (files.length > 1) {
@@ -126,157 +744,3619 @@ function findCwdSessionFile() {
   return undefined;
 }
 
-let sessionFile = undefined;
-if (options.session) {
-  sessionFile = ensureGptpExt(options.session);
-} else {
-  const auto = findCwdSessionFile();
-  if (auto) sessionFile = auto;
-}
-
-if (sessionFile && fs.existsSync(sessionFile)) {
+function loadSessionFile(file) {
+  chatHistory = [];
+  todoList = [];
+  sessionUsage = [];
+  if (!file || !fs.existsSync(file)) return;
   try {
-    const data = fs.readFileSync(sessionFile, 'utf8');
-    const parsed = JSON.parse(data);
-    if (Array.isArray(parsed)) {
-      // Legacy format: array = chatHistory only
-      chatHistory = parsed;
-    } else if (parsed && typeof parsed === 'object') {
-      chatHistory = Array.isArray(parsed.chatHistory) ? parsed.chatHistory : [];
-      todoList = Array.isArray(parsed.todoList) ? parsed.todoList : [];
-      if (parsed.diffPreview && typeof parsed.diffPreview === 'object') {
-        // Merge to preserve new defaults if older session lacks fields
-        diffPreview = {
-          enabled: typeof parsed.diffPreview.enabled === 'boolean' ? parsed.diffPreview.enabled : diffPreview.enabled,
-          thresholdLines: Number.isInteger(parsed.diffPreview.thresholdLines) ? parsed.diffPreview.thresholdLines : diffPreview.thresholdLines,
-          maxLines: Number.isInteger(parsed.diffPreview.maxLines) ? parsed.diffPreview.maxLines : diffPreview.maxLines,
-        };
-      }
+    const parsed = readSessionPayload(file);
+    chatHistory = Array.isArray(parsed.chatHistory) ? parsed.chatHistory : [];
+    todoList = Array.isArray(parsed.todoList) ? parsed.todoList : [];
+    sessionUsage = Array.isArray(parsed.usage) ? parsed.usage : [];
+    if (parsed.diffPreview && typeof parsed.diffPreview === 'object') {
+      settingSources.diff = `session ${file}`;
+      // Merge to preserve new defaults if older session lacks fields
+      diffPreview = {
+        enabled: typeof parsed.diffPreview.enabled === 'boolean' ? parsed.diffPreview.enabled : diffPreview.enabled,
+        thresholdLines: Number.isInteger(parsed.diffPreview.thresholdLines) ? parsed.diffPreview.thresholdLines : diffPreview.thresholdLines,
+        maxLines: Number.isInteger(parsed.diffPreview.maxLines) ? parsed.diffPreview.maxLines : diffPreview.maxLines,
+      };
     }
   } catch (e) {
     // If error reading session, start fresh
     chatHistory = [];
     todoList = [];
+    sessionUsage = [];
   }
 }
 
-async function saveSession() {
-  if (sessionFile) {
-    const payload = { chatHistory, todoList, diffPreview };
-    fs.writeFileSync(sessionFile, JSON.stringify(payload, null, 2));
+// Session export (Markdown, HTML, JSONL). Tool calls are paired with their results and
+// collapsed into one-line summaries; full outputs and system messages are opt-in.
+const EXPORT_FORMATS = { md: 'md', markdown: 'md', html: 'html', jsonl: 'jsonl' };
+const EXPORT_TOOL_PREVIEW_CHARS = 500;
+
+function describeToolCall(name, args) {
+  if (name === 'run_command' || name === 'start_process') return `${name}: ${args.command || ''}`;
+  const target = args.filePath || args.dirPath || args.targetPath;
+  if (target) return `${name} ${target}`;
+  if (name === 'search_files') return `search_files "${args.query || ''}"`;
+  if (name === 'grep_files') return `grep_files "${args.pattern || ''}"`;
+  if (name === 'edit_files') return `edit_files ${(args.edits || []).map(e => e?.filePath).join(', ')}`;
+  if (name === 'apply_patch') {
+    const files = String(args.patch || '').match(/^\+\+\+ (?:b\/)?(\S+)/gm) || [];
+    return `apply_patch ${files.map(f => f.replace(/^\+\+\+ (?:b\/)?/, '')).join(', ')}`;
   }
+  if (name === 'manage_todo') return `manage_todo ${args.action || ''}${args.title ? `: ${args.title}` : ''}`;
+  const json = JSON.stringify(args);
+  return `${name} ${json.length > 120 ? json.slice(0, 120) + '…' : json}`;
 }
 
-function buildUserContent(text) {
-  return (options.in ? fileData + "\n" : "") + text + (options.dev ? "\nDon't respond with anything other than code. Don't include any markdown." : "");
+function describeToolResult(content) {
+  let parsed = null;
+  try { parsed = JSON.parse(content); } catch (_) {}
+  if (!parsed || typeof parsed !== 'object') return content ? 'ok' : 'no result';
+  if (parsed.error) return `error: ${parsed.error}`;
+  if (parsed.aborted) return 'aborted by user';
+  if ('exitCode' in parsed) return `exit ${parsed.exitCode}`;
+  if (Array.isArray(parsed.results)) return `${parsed.results.length} result(s)`;
+  if (Array.isArray(parsed.matches)) return `${parsed.matches.length} match(es)`;
+  if (Array.isArray(parsed.items)) return `${parsed.items.length} item(s)`;
+  if (typeof parsed.bytesRead === 'number') return `${parsed.bytesRead} byte(s)`;
+  if (typeof parsed.changedLines === 'number') return `${parsed.changedLines} line(s) changed`;
+  return 'ok';
 }
 
-function toChatMessages() {
-  // Preserve tool call metadata for Chat Completions API
-  return chatHistory.map((m) => {
-    const base = { role: m.role, content: m.content };
-    if (m.role === 'assistant' && m.tool_calls) {
-      base.tool_calls = m.tool_calls;
+function buildExportItems(history, opts) {
+  const results = new Map(history.filter(m => m.role === 'tool').map(m => [m.tool_call_id, m.content]));
+  const items = [];
+  for (const m of history) {
+    const parts = Array.isArray(m.content) ? m.content : null;
+    const text = parts ? messageText(parts.filter(p => p.type !== 'image')) : messageText(m.content);
+    const images = parts ? parts.filter(p => p.type === 'image') : [];
+    if (m.role === 'system') {
+      if (opts.includeSystem) items.push({ kind: 'system', text });
+    } else if (m.role === 'user' && m.toolImages) {
+      items.push({ kind: 'images', text, images });
+    } else if (m.role === 'user' && m.hookNote) {
+      if (opts.includeSystem) items.push({ kind: 'system', text });
+    } else if (m.role === 'user') {
+      items.push({ kind: m.summary ? 'summary' : 'user', text, images });
+    } else if (m.role === 'assistant' && m.tool_calls) {
+      if (text.trim()) items.push({ kind: 'assistant', text });
+      for (const tc of m.tool_calls) {
+        let args = {};
+        try { args = JSON.parse(tc.function?.arguments || '{}'); } catch (_) {}
+        const output = String(results.get(tc.id) ?? '');
+        const full = opts.fullToolOutput || output.length <= EXPORT_TOOL_PREVIEW_CHARS;
+        items.push({
+          kind: 'tool',
+          name: tc.function?.name,
+          args,
+          summary: describeToolCall(tc.function?.name, args),
+          status: results.has(tc.id) ? describeToolResult(output) : 'no result',
+          output: full ? output : output.slice(0, EXPORT_TOOL_PREVIEW_CHARS),
+          truncated: !full,
+        });
+      }
+    } else if (m.role === 'assistant') {
+      items.push({ kind: 'assistant', text });
     }
-    if (m.role === 'tool' && m.tool_call_id) {
-      base.tool_call_id = m.tool_call_id;
+  }
+  return items;
+}
+
+function escapeHtml(text) {
+  return String(text ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function renderExportMarkdown(title, items, todos) {
+  const out = [`# ${title}`, '', `_Exported ${new Date().toISOString()}_`, ''];
+  const fence = (text) => '````\n' + text + '\n````';
+  const images = (list) => (list || []).map(p => `![${path.basename(p.path)}](${encodeURI(p.path)})`);
+  for (const it of items) {
+    if (it.kind === 'tool') {
+      out.push(`<details><summary>🔧 ${escapeHtml(it.summary)} — ${escapeHtml(it.status)}</summary>`, '');
+      if (it.output) out.push(fence(it.output + (it.truncated ? '\n[…truncated]' : '')), '');
+      out.push('</details>', '');
+    } else if (it.kind === 'images') {
+      out.push(...images(it.images), '');
+    } else {
+      const heading = { system: 'System', user: 'User', assistant: 'Assistant', summary: 'Summary of earlier conversation' }[it.kind];
+      out.push(`## ${heading}`, '', it.kind === 'summary' ? it.text.replace(SUMMARY_PREFIX, '').trim() : it.text, '');
+      if (it.images?.length) out.push(...images(it.images), '');
     }
-    return base;
+  }
+  if (todos.length) {
+    out.push('## Todo list', '');
+    for (const t of todos) out.push(`- [${t.status === 'completed' ? 'x' : ' '}] #${t.id} ${t.title}${t.description ? ` — ${t.description}` : ''}`);
+    out.push('');
+  }
+  return out.join('\n');
+}
+
+function renderExportHtml(title, items, todos) {
+  const body = [];
+  // Images are embedded so the page stands alone
+  const images = (list) => (list || []).map((p) => {
+    const url = imageDataUrl(p);
+    return url
+      ? `<figure><img src="${url}" alt="${escapeHtml(path.basename(p.path))}"><figcaption>${escapeHtml(p.path)}</figcaption></figure>`
+      : `<p class="missing">[Image ${escapeHtml(p.path)} is missing or has changed]</p>`;
+  }).join('');
+  for (const it of items) {
+    if (it.kind === 'tool') {
+      body.push(`<details class="tool"><summary>${escapeHtml(it.summary)} — ${escapeHtml(it.status)}</summary>`
+        + (it.output ? `<pre>${escapeHtml(it.output)}${it.truncated ? '\n[…truncated]' : ''}</pre>` : '') + '</details>');
+    } else if (it.kind === 'images') {
+      body.push(`<div class="images">${images(it.images)}</div>`);
+    } else {
+      const heading = { system: 'System', user: 'User', assistant: 'Assistant', summary: 'Summary of earlier conversation' }[it.kind];
+      const text = it.kind === 'summary' ? it.text.replace(SUMMARY_PREFIX, '').trim() : it.text;
+      body.push(`<section class="${it.kind}"><h2>${heading}</h2><div class="content">${escapeHtml(text)}</div>${images(it.images)}</section>`);
+    }
+  }
+  if (todos.length) {
+    body.push('<section class="todo"><h2>Todo list</h2><ul>'
+      + todos.map(t => `<li>${t.status === 'completed' ? '☑' : '☐'} #${t.id} ${escapeHtml(t.title)}${t.description ? ` — ${escapeHtml(t.description)}` : ''}</li>`).join('')
+      + '</ul></section>');
+  }
+  return `<!doctype html>
+<html><head><meta charset="utf-8"><title>${escapeHtml(title)}</title>
+<style>
+body { font-family: system-ui, sans-serif; max-width: 56rem; margin: 2rem auto; padding: 0 1rem; line-height: 1.5; }
+section { border-left: 4px solid #ccc; padding: 0 1rem; margin: 1rem 0; }
+section.user { border-color: #3b82f6; } section.assistant { border-color: #10b981; }
+section.system, section.summary { border-color: #a855f7; }
+h2 { font-size: 0.9rem; text-transform: uppercase; color: #555; margin: 0.5rem 0; }
+.content { white-space: pre-wrap; }
+details.tool { margin: 0.25rem 0 0.25rem 1.25rem; color: #444; font-family: ui-monospace, monospace; font-size: 0.85rem; }
+pre { background: #f5f5f5; padding: 0.5rem; overflow-x: auto; white-space: pre-wrap; }
+figure { margin: 0.5rem 0; } img { max-width: 100%; } figcaption, .missing { color: #666; font-size: 0.85rem; }
+</style></head>
+<body><h1>${escapeHtml(title)}</h1><p><em>Exported ${new Date().toISOString()}</em></p>
+${body.join('\n')}
+</body></html>
+`;
+}
+
+function renderExportJsonl(items, todos) {
+  const lines = items.map((it) => {
+    if (it.kind === 'tool') return { type: 'tool', name: it.name, args: it.args, summary: it.summary, status: it.status, output: it.output, truncated: it.truncated };
+    const line = { type: it.kind, content: it.text };
+    if (it.images?.length) line.images = it.images.map(({ path: p, sha256, mimeType, width, height }) => ({ path: p, sha256, mimeType, width, height }));
+    return line;
   });
+  if (todos.length) lines.push({ type: 'todo', items: todos });
+  return lines.map(l => JSON.stringify(l)).join('\n') + '\n';
 }
 
-async function chatOnce(userInput) {
-  if (options.role && !chatHistory.some(m => m.role === 'system')) {
-    chatHistory.push({ role: 'system', content: options.role });
+function exportSession(payload, title, opts) {
+  const format = EXPORT_FORMATS[String(opts.format || 'md').toLowerCase()];
+  if (!format) throw new Error(`Unknown export format "${opts.format}". Use md, html or jsonl.`);
+  const history = Array.isArray(payload.chatHistory) ? payload.chatHistory : [];
+  const todos = Array.isArray(payload.todoList) ? payload.todoList : [];
+  const items = buildExportItems(history, opts);
+  if (format === 'html') return { format, text: renderExportHtml(title, items, todos) };
+  if (format === 'jsonl') return { format, text: renderExportJsonl(items, todos) };
+  return { format, text: renderExportMarkdown(title, items, todos) };
+}
+
+let sessionFile = undefined;
+if (options.session) {
+  sessionFile = resolveSessionPath(options.session);
+} else {
+  const auto = findCwdSessionFile();
+  if (auto) sessionFile = auto;
+}
+
+loadSessionFile(sessionFile);
+
+async function saveSession() {
+  if (sessionFile) {
+    const payload = { chatHistory, todoList, diffPreview, usage: sessionUsage, cwd: process.cwd() };
+    fs.writeFileSync(sessionFile, JSON.stringify(payload, null, 2));
   }
+}
 
-  // Add the prompt to chat history
-  chatHistory.push({ role: 'user', content: buildUserContent(userInput) });
+// File checkpoints: pre-write snapshots of tool-modified files, grouped by user turn.
+// Stored next to the session file (<name>.checkpoints.json) so /undo survives restarts.
+const MAX_CHECKPOINTS = 50;
+let checkpoints = [];
+let currentTurn = null;
+
+function getCheckpointFile() {
+  return sessionFile ? sessionFile.replace(/\.gptp$/i, '') + '.checkpoints.json' : null;
+}
 
+function loadCheckpoints() {
+  checkpoints = [];
+  const p = getCheckpointFile();
+  if (!p || !fs.existsSync(p)) return;
   try {
-    const messages = toChatMessages();
-
-    const streamingEnabled = options.stream && !options.dev; // disable streaming when dev mode to allow clean output
-    if (streamingEnabled) {
-      // Stream tokens as they arrive
-      const stream = await client.chat.completions.create({
-        model: options.model,
-        messages,
-        temperature: typeof options.temperature === 'number' && !Number.isNaN(options.temperature) ? options.temperature : undefined,
-        max_tokens: typeof options.maxTokens === 'number' && !Number.isNaN(options.maxTokens) ? options.maxTokens : undefined,
-        stream: true,
-      });
+    const parsed = JSON.parse(fs.readFileSync(p, 'utf8'));
+    checkpoints = Array.isArray(parsed?.checkpoints) ? parsed.checkpoints : [];
+  } catch (_) {
+    checkpoints = [];
+  }
+}
 
-      let reply = '';
-      for await (const part of stream) {
-        const delta = part.choices?.[0]?.delta?.content || '';
-        reply += delta;
-        if (!options.quiet && delta) process.stdout.write(delta);
-      }
-      if (!options.quiet) process.stdout.write('\n');
+function saveCheckpoints() {
+  const p = getCheckpointFile();
+  if (!p) return;
+  try {
+    if (checkpoints.length) fs.writeFileSync(p, JSON.stringify({ checkpoints }, null, 2));
+    else if (fs.existsSync(p)) fs.unlinkSync(p);
+  } catch (e) {
+    console.error('Failed to write checkpoints:', e?.message || e);
+  }
+}
 
-      // Save the assistant's reply to chat history
-      chatHistory.push({ role: 'assistant', content: reply.trim() });
-      await saveSession();
-      if (options.out) fs.writeFileSync(options.out, reply.trim());
-    } else {
-      // Non-streaming path
-      const completion = await client.chat.completions.create({
-        model: options.model,
-        messages,
-        temperature: typeof options.temperature === 'number' && !Number.isNaN(options.temperature) ? options.temperature : undefined,
-        max_tokens: typeof options.maxTokens === 'number' && !Number.isNaN(options.maxTokens) ? options.maxTokens : undefined,
-      });
-      let reply = (completion.choices?.[0]?.message?.content || '').trim();
+// Called when a user prompt is added; the checkpoint itself is created on the first file change
+function beginCheckpointTurn(userInput) {
+  currentTurn = { prompt: String(userInput || '').slice(0, 120), historyLength: chatHistory.length, checkpoint: null };
+}
 
-      // If dev mode, strip code fences for script-friendly output
-      if (options.dev) {
-        reply = reply
-          .replace(/^```[a-zA-Z0-9_-]*\s*\n?/, '')
-          .replace(/\n?```$/, '');
-      }
+function snapshotFileBeforeWrite(absPath, previousContent) {
+  if (!currentTurn) beginCheckpointTurn('');
+  if (!currentTurn.checkpoint) {
+    const id = checkpoints.length ? Math.max(...checkpoints.map(c => c.id)) + 1 : 1;
+    currentTurn.checkpoint = { id, createdAt: new Date().toISOString(), prompt: currentTurn.prompt, historyLength: currentTurn.historyLength, files: [] };
+    checkpoints.push(currentTurn.checkpoint);
+    if (checkpoints.length > MAX_CHECKPOINTS) checkpoints.splice(0, checkpoints.length - MAX_CHECKPOINTS);
+  }
+  // Keep only the first snapshot per file so the checkpoint holds the state from before the turn
+  if (currentTurn.checkpoint.files.some(f => f.path === absPath)) return;
+  currentTurn.checkpoint.files.push({ path: absPath, existed: previousContent !== null, content: previousContent });
+  saveCheckpoints();
+}
 
-      if (!options.quiet) console.log(reply);
-      chatHistory.push({ role: 'assistant', content: reply });
-      await saveSession();
-      if (options.out) fs.writeFileSync(options.out, reply);
+// Write through a temp file in the same directory and rename it over the target,
+// so a crash never leaves a truncated file behind
+function writeFileAtomic(filePath, content) {
+  let target = filePath;
+  try { target = fs.realpathSync(filePath); } catch (_) {}
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  const tmp = path.join(path.dirname(target), `.${path.basename(target)}.${process.pid}.${Date.now()}.tmp`);
+  try {
+    fs.writeFileSync(tmp, content, 'utf8');
+    try { fs.chmodSync(tmp, fs.statSync(target).mode); } catch (_) {}
+    fs.renameSync(tmp, target);
+  } catch (e) {
+    try { fs.unlinkSync(tmp); } catch (_) {}
+    throw e;
+  }
+}
+
+// Write staged { path, before, after } changes all or nothing (null before/after = create/delete);
+// if one write fails, the files already written are put back
+function commitFileChanges(changes) {
+  const done = [];
+  try {
+    for (const c of changes) {
+      snapshotFileBeforeWrite(c.path, c.before);
+      if (c.after === null) fs.unlinkSync(c.path);
+      else writeFileAtomic(c.path, c.after);
+      done.push(c);
     }
-  } catch (err) {
-    console.error('Error:', err?.message || err);
-    process.exitCode = 1;
+  } catch (e) {
+    for (const c of done.reverse()) {
+      try {
+        if (c.before === null) fs.unlinkSync(c.path);
+        else writeFileAtomic(c.path, c.before);
+      } catch (_) {}
+    }
+    logLine(`ERROR commit rolled back ${done.length} file(s): ${e?.message || e}`);
+    throw new Error(`${e?.message || e} (no files were changed)`);
   }
 }
 
-async function startInteractive() {
-  if (options.role) {
-    // Ensure the system prompt is present once at the start of the session
-    chatHistory.push({ role: 'system', content: options.role });
+// Lines in a file's text; a final newline ends the last line rather than starting another
+function countLines(text) {
+  const s = String(text ?? '');
+  if (!s) return 0;
+  return s.split('\n').length - (s.endsWith('\n') ? 1 : 0);
+}
+
+function countChangedLines(a, b) {
+  const A = String(a ?? '').split('\n');
+  const B = String(b ?? '').split('\n');
+  const maxLen = Math.max(A.length, B.length);
+  let changed = 0;
+  for (let i = 0; i < maxLen; i++) {
+    const la = A[i];
+    const lb = B[i];
+    if (la !== lb) changed++;
   }
+  return changed;
+}
 
-  function pathCompleter(fragment) {
-    try {
-      const base = fragment.endsWith('/') ? fragment : path.dirname(fragment);
-      const dir = base === '.' || base === '' || base === '/' ? process.cwd() : path.resolve(process.cwd(), base);
-      const prefix = fragment.endsWith('/') ? '' : path.basename(fragment);
-      const entries = fs.readdirSync(dir, { withFileTypes: true }).map(e => e.name + (e.isDirectory() ? '/' : ''));
-      return entries
-        .filter(name => name.toLowerCase().startsWith(prefix.toLowerCase()))
-        .map(name => (base && base !== '.' && base !== '/' ? path.join(base, name) : name));
-    } catch (_) {
-      return [];
-    }
+function reportFileChanges(changes) {
+  for (const c of changes) {
+    if (c.after === null) logStatus(`[Deleted ${c.path}]`);
+    else if (c.before === null) logStatus(`[Created ${c.path} with ${countLines(c.after)} line(s)]`);
+    else logStatus(`[Changed ${countChangedLines(c.before, c.after)} line(s) of text in ${c.path}]`);
+  }
+}
+
+// --extract / /extract: write a reply's fenced code blocks to files.
+// A block's filename comes from its info string (```js src/a.js, ```src/a.js, ```js title="src/a.js",
+// ```js:src/a.js) or from the line just before the fence (src/a.js, **src/a.js**, File: `src/a.js`).
+function looksLikeFilePath(s) {
+  if (!s || /\s/.test(s) || /^[a-z][\w+.-]*:\/\//i.test(s)) return false;
+  return s.includes('/') || /\.[A-Za-z0-9]+$/.test(s) || /^(Makefile|Dockerfile|Procfile|Gemfile|Rakefile|LICENSE)$/.test(s);
+}
+
+function fileFromFenceInfo(info) {
+  const attr = /(?:^|\s)(?:title|file|filename|path)=(?:"([^"]+)"|'([^']+)'|(\S+))/.exec(info);
+  if (attr) return attr[1] || attr[2] || attr[3];
+  const colon = /^[\w+#-]+:(\S+)$/.exec(info);
+  if (colon && looksLikeFilePath(colon[1])) return colon[1];
+  return info.split(/\s+/).slice(0, 2).find(looksLikeFilePath) || null;
+}
+
+function fileFromPrecedingLine(line) {
+  const text = String(line || '').trim()
+    .replace(/^(#{1,6}\s+|[-*+]\s+|\d+\.\s+)/, '')
+    .replace(/^(?:\*\*|__)(.*)(?:\*\*|__)$/, '$1')
+    .replace(/^(?:file(?:name)?|path)\s*:\s*/i, '')
+    .replace(/:$/, '')
+    .replace(/^(?:\*\*|__)(.*)(?:\*\*|__)$/, '$1')
+    .replace(/^`([^`]+)`$/, '$1');
+  if (looksLikeFilePath(text)) return text;
+  // "Create `src/a.js`:" -- a sentence naming exactly one path in backticks, ending with a colon
+  const named = [...String(line || '').matchAll(/`([^`\s]+)`/g)].map(m => m[1]).filter(looksLikeFilePath);
+  return /:\s*$/.test(line) && named.length === 1 ? named[0] : null;
+}
+
+function parseFencedBlocks(text) {
+  const lines = String(text || '').split(/\r?\n/);
+  const blocks = [];
+  let previous = null;
+  for (let i = 0; i < lines.length; i++) {
+    const open = /^ {0,3}(`{3,}|~{3,})(.*)$/.exec(lines[i]);
+    if (!open) {
+      if (lines[i].trim()) previous = lines[i];
+      continue;
+    }
+    const [, fence, rawInfo] = open;
+    const info = rawInfo.trim();
+    if (fence[0] === '`' && info.includes('`')) continue;
+    const close = new RegExp(`^ {0,3}${fence[0] === '`' ? '`' : '~'}{${fence.length},}\\s*$`);
+    const body = [];
+    let j = i + 1;
+    while (j < lines.length && !close.test(lines[j])) body.push(lines[j++]);
+    blocks.push({
+      line: i + 1,
+      file: fileFromFenceInfo(info) || fileFromPrecedingLine(previous),
+      content: body.length ? body.join('\n') + '\n' : ''
+    });
+    previous = null;
+    i = j;
+  }
+  return blocks;
+}
+
+// Returns false when nothing was written (no named blocks, aborted, or a write failed)
+async function extractCodeBlocks(reply, dir) {
+  const root = realpathLoose(path.resolve(dir || '.'));
+  const blocks = parseFencedBlocks(reply);
+  if (!blocks.length) {
+    logStatus('[No fenced code blocks in the reply]');
+    return false;
+  }
+  const targets = new Map();
+  const skipped = [];
+  for (const b of blocks) {
+    if (!b.file) {
+      skipped.push(`block at line ${b.line}: no filename`);
+      continue;
+    }
+    // Symlinks already on disk (out -> /etc) are resolved first, so the checks see where the file really lands
+    const target = realpathLoose(path.resolve(root, b.file));
+    const rel = path.relative(root, target);
+    if (path.isAbsolute(b.file) || !rel || rel.startsWith('..') || path.isAbsolute(rel)) {
+      skipped.push(`${b.file}: outside ${root}`);
+      continue;
+    }
+    if (!isInsideWorkspace(target)) {
+      logLine(`SANDBOX_DENY path=${target}`);
+      skipped.push(`${b.file}: outside the workspace`);
+      continue;
+    }
+    if (targets.has(target)) skipped.push(`${b.file}: block at line ${targets.get(target).line} replaced by the one at line ${b.line}`);
+    targets.set(target, b);
+  }
+
+  const changes = [];
+  const unchanged = [];
+  for (const [p, b] of targets) {
+    let before = null;
+    try { before = fs.readFileSync(p, 'utf8'); } catch (_) {}
+    if (before === b.content) unchanged.push(p);
+    else changes.push({ path: p, before, after: b.content });
+  }
+  const existing = changes.filter(c => c.before !== null);
+  // Same write policy as write_file/edit_files: flags and rules first, then one prompt; no terminal means denied
+  if (changes.length) {
+    const decision = await confirmFileChanges('extract', changes, `Write ${changes.length} file(s) in ${root} (${existing.length} overwritten)?`);
+    if (!decision.proceed) {
+      logStatus('[Extraction aborted; no files were written]');
+      return false;
+    }
+  }
+  try {
+    commitFileChanges(changes);
+  } catch (e) {
+    console.error('Error:', e?.message || e);
+    return false;
+  }
+  logLine(`EXTRACT dir=${root} written=${changes.length} unchanged=${unchanged.length} skipped=${skipped.length}`);
+
+  const rel = (p) => path.relative(root, p);
+  const created = changes.filter(c => c.before === null);
+  logStatus(`[Extracted to ${root}: ${created.length} created, ${existing.length} changed, ${unchanged.length} unchanged${skipped.length ? `, ${skipped.length} skipped` : ''}]`);
+  for (const c of created) logStatus(`  created    ${rel(c.path)} (${countLines(c.after)} line(s))`);
+  for (const c of existing) logStatus(`  changed    ${rel(c.path)} (${countChangedLines(c.before, c.after)} line(s))`);
+  for (const p of unchanged) logStatus(`  unchanged  ${rel(p)}`);
+  for (const s of skipped) logStatus(`  skipped    ${s}`);
+  return changes.length > 0 || unchanged.length > 0;
+}
+
+// Revert every checkpoint from the newest back to (and including) the given id
+async function restoreCheckpoint(id) {
+  const idx = checkpoints.findIndex(c => c.id === id);
+  if (idx === -1) return null;
+  const reverted = checkpoints.splice(idx).reverse();
+  const files = new Set();
+  for (const cp of reverted) {
+    for (const f of cp.files) {
+      try {
+        if (f.existed) {
+          writeFileAtomic(f.path, f.content);
+        } else if (fs.existsSync(f.path)) {
+          fs.unlinkSync(f.path);
+        }
+        files.add(f.path);
+      } catch (e) {
+        console.error(`Failed to restore ${f.path}:`, e?.message || e);
+      }
+    }
+  }
+  // Roll the conversation back to just before the checkpoint's user prompt
+  const target = reverted[reverted.length - 1];
+  if (chatHistory.length > target.historyLength) chatHistory = chatHistory.slice(0, target.historyLength);
+  currentTurn = null;
+  saveCheckpoints();
+  await saveSession();
+  return { checkpoint: target, files: Array.from(files) };
+}
+
+loadCheckpoints();
+
+// Usage and cost tracking. Every API call is added to the current turn's per-model totals in the
+// session payload and appended to a global ledger (usage.jsonl in the config dir) for `gpt usage`.
+// Prices come from config.json: "prices": { "<model or prefix>": { "input", "cachedInput", "output" } } in USD per 1M tokens.
+let usageTurn = 0;
+const runUsage = { cost: 0, promptTokens: 0, completionTokens: 0, cachedTokens: 0, calls: 0 };
+let budgetPriceWarned = false;
+
+function getUsageLedgerPath() {
+  return path.join(getConfigDir(), 'usage.jsonl');
+}
+
+function getModelPrice(model) {
+  const prices = readConfig().prices || {};
+  if (prices[model]) return prices[model];
+  // Longest matching prefix, so "gpt-4.1" prices dated snapshots like "gpt-4.1-2025-04-14"
+  const key = Object.keys(prices).filter(k => model.startsWith(k)).sort((a, b) => b.length - a.length)[0];
+  return key ? prices[key] : null;
+}
+
+function computeCost(model, u) {
+  const price = getModelPrice(model);
+  if (!price) return null;
+  const cached = u.cachedTokens || 0;
+  const input = Number(price.input) || 0;
+  const cachedInput = Number.isFinite(Number(price.cachedInput)) ? Number(price.cachedInput) : input;
+  const output = Number(price.output) || 0;
+  return ((u.promptTokens - cached) * input + cached * cachedInput + u.completionTokens * output) / 1e6;
+}
+
+function formatCost(cost) {
+  return cost == null ? 'n/a' : `$${cost.toFixed(cost > 0 && cost < 0.01 ? 6 : 4)}`;
+}
+
+function startUsageTurn() {
+  usageTurn = sessionUsage.reduce((max, u) => Math.max(max, u.turn || 0), 0) + 1;
+}
+
+// Called when a user prompt is added to the history
+function beginTurn(userInput) {
+  beginCheckpointTurn(userInput);
+  startUsageTurn();
+}
+
+function recordUsage(usage, model = options.model) {
+  if (!usage) return;
+  const u = {
+    promptTokens: usage.prompt_tokens || 0,
+    completionTokens: usage.completion_tokens || 0,
+    cachedTokens: usage.prompt_tokens_details?.cached_tokens || 0,
+  };
+  if (!usageTurn) startUsageTurn();
+  let entry = sessionUsage.find(e => e.turn === usageTurn && e.model === model);
+  if (!entry) {
+    entry = { turn: usageTurn, at: new Date().toISOString(), provider: activeProvider, model, calls: 0, promptTokens: 0, completionTokens: 0, cachedTokens: 0 };
+    sessionUsage.push(entry);
+  }
+  entry.calls++;
+  entry.promptTokens += u.promptTokens;
+  entry.completionTokens += u.completionTokens;
+  entry.cachedTokens += u.cachedTokens;
+
+  const cost = computeCost(model, u);
+  runUsage.calls++;
+  runUsage.promptTokens += u.promptTokens;
+  runUsage.completionTokens += u.completionTokens;
+  runUsage.cachedTokens += u.cachedTokens;
+  runUsage.cost += cost || 0;
+  logLine(`USAGE model=${model} prompt=${u.promptTokens} completion=${u.completionTokens} cached=${u.cachedTokens} cost=${formatCost(cost)}`);
+
+  try {
+    fs.mkdirSync(getConfigDir(), { recursive: true });
+    const record = { at: new Date().toISOString(), provider: activeProvider, model, ...u, session: sessionFile ? path.resolve(sessionFile) : null };
+    fs.appendFileSync(getUsageLedgerPath(), JSON.stringify(record) + '\n');
+  } catch (_) {}
+}
+
+function budgetExceeded() {
+  if (typeof options.budget !== 'number' || Number.isNaN(options.budget)) return false;
+  if (!getModelPrice(options.model) && !budgetPriceWarned) {
+    budgetPriceWarned = true;
+    logStatus(`[Budget set, but config.json has no price for ${options.model}; its cost is not counted]`);
+  }
+  return runUsage.cost >= options.budget;
+}
+
+function summarizeUsage(entries) {
+  const byModel = new Map();
+  for (const e of entries) {
+    const t = byModel.get(e.model) || { model: e.model, calls: 0, promptTokens: 0, completionTokens: 0, cachedTokens: 0 };
+    t.calls += e.calls || 1;
+    t.promptTokens += e.promptTokens || 0;
+    t.completionTokens += e.completionTokens || 0;
+    t.cachedTokens += e.cachedTokens || 0;
+    byModel.set(e.model, t);
+  }
+  const rows = Array.from(byModel.values()).map(t => ({ ...t, cost: computeCost(t.model, t) }));
+  const total = rows.reduce((acc, r) => ({
+    calls: acc.calls + r.calls,
+    promptTokens: acc.promptTokens + r.promptTokens,
+    completionTokens: acc.completionTokens + r.completionTokens,
+    cachedTokens: acc.cachedTokens + r.cachedTokens,
+    cost: r.cost == null ? acc.cost : (acc.cost || 0) + r.cost,
+  }), { calls: 0, promptTokens: 0, completionTokens: 0, cachedTokens: 0, cost: null });
+  return { rows, total };
+}
+
+function printUsageRows({ rows, total }) {
+  const fmt = (n) => Number(n || 0).toLocaleString();
+  for (const r of rows) {
+    console.log(`  ${r.model}: ${fmt(r.calls)} call(s), prompt ${fmt(r.promptTokens)} (cached ${fmt(r.cachedTokens)}), completion ${fmt(r.completionTokens)}, cost ${formatCost(r.cost)}`);
+  }
+  console.log(`  total: ${fmt(total.calls)} call(s), prompt ${fmt(total.promptTokens)} (cached ${fmt(total.cachedTokens)}), completion ${fmt(total.completionTokens)}, cost ${formatCost(total.cost)}`);
+}
+
+function showGlobalUsage(days) {
+  const p = getUsageLedgerPath();
+  let entries = [];
+  try {
+    entries = fs.readFileSync(p, 'utf8').split('\n').filter(Boolean).map(l => { try { return JSON.parse(l); } catch (_) { return null; } }).filter(Boolean);
+  } catch (_) {}
+  if (Number.isInteger(days) && days > 0) {
+    const since = Date.now() - days * 86400000;
+    entries = entries.filter(e => Date.parse(e.at) >= since);
+  }
+  console.log(`[Usage${Number.isInteger(days) && days > 0 ? ` (last ${days} day(s))` : ''}: ${p}]`);
+  if (!entries.length) { console.log('  (no usage recorded)'); return; }
+  printUsageRows(summarizeUsage(entries));
+}
+
+// Custom slash commands: Markdown files in <config dir>/commands and ./.gpt/commands (project wins by name).
+// Optional front matter sets description, model, temperature or role for that prompt; the body is the
+// prompt, with $ARGUMENTS and $1..$9 substituted and @path references replaced by the file's contents.
+const MAX_COMMAND_INCLUDE_BYTES = 200000;
+
+function parseFrontMatter(text) {
+  const m = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/.exec(text);
+  if (!m) return { meta: {}, body: text };
+  const meta = {};
+  for (const line of m[1].split(/\r?\n/)) {
+    const kv = /^\s*([\w-]+)\s*:\s*(.*?)\s*$/.exec(line);
+    if (kv) meta[kv[1]] = kv[2].replace(/^(['"])(.*)\1$/, '$2');
+  }
+  return { meta, body: text.slice(m[0].length) };
+}
+
+function loadCustomCommands() {
+  const commands = new Map();
+  for (const dir of [path.join(getConfigDir(), 'commands'), path.join(process.cwd(), '.gpt', 'commands')]) {
+    let files = [];
+    try { files = fs.readdirSync(dir).filter(f => f.endsWith('.md')); } catch (_) { continue; }
+    for (const f of files) {
+      const name = f.slice(0, -3);
+      if (!/^[\w-]+$/.test(name)) continue;
+      try {
+        const { meta, body } = parseFrontMatter(fs.readFileSync(path.join(dir, f), 'utf8'));
+        const description = meta.description || body.trim().split('\n')[0].slice(0, 60);
+        commands.set(name, { name, file: path.join(dir, f), meta, body, description });
+      } catch (_) {}
+    }
+  }
+  return commands;
+}
+
+function splitCommandArgs(text) {
+  const args = [];
+  const re = /"((?:\\.|[^"\\])*)"|'([^']*)'|(\S+)/g;
+  let m;
+  while ((m = re.exec(text))) args.push(m[1] !== undefined ? m[1].replace(/\\(.)/g, '$1') : (m[2] ?? m[3]));
+  return args;
+}
+
+function includeFileReference(ref) {
+  try {
+    const p = resolveWorkspacePath(ref);
+    const st = fs.statSync(p);
+    if (!st.isFile() || st.size > MAX_COMMAND_INCLUDE_BYTES) return null;
+    return `\n\n${ref}:\n\`\`\`\n${fs.readFileSync(p, 'utf8').replace(/\n$/, '')}\n\`\`\`\n`;
+  } catch (_) {
+    return null;
+  }
+}
+
+// Returns the prompt text and per-prompt overrides for a custom command invocation
+function expandCustomCommand(command, args) {
+  let text = command.body.replace(/\$ARGUMENTS/g, args.join(' ')).replace(/\$([1-9])/g, (_, n) => args[Number(n) - 1] ?? '');
+  // Without a placeholder the arguments are appended to the prompt
+  if (args.length && !/\$(ARGUMENTS|[1-9])/.test(command.body)) text = `${text.trimEnd()}\n\n${args.join(' ')}`;
+  text = text.replace(/(^|\s)@([^\s@`]+)/g, (whole, lead, ref) => {
+    const included = includeFileReference(ref.replace(/[.,;:)]+$/, ''));
+    return included === null ? whole : lead + included;
+  }).trim();
+  const overrides = {};
+  if (command.meta.model) overrides.model = command.meta.model;
+  if (command.meta.temperature !== undefined && !Number.isNaN(parseFloat(command.meta.temperature))) overrides.temperature = parseFloat(command.meta.temperature);
+  if (command.meta.role) overrides.role = command.meta.role;
+  return { text, overrides };
+}
+
+// Model, temperature and role overrides apply to one prompt (including its tool loop) only
+let roleOverride = null;
+
+async function withPromptOverrides(overrides, fn) {
+  const saved = { model: options.model, temperature: options.temperature };
+  if (overrides.model) options.model = overrides.model;
+  if (overrides.temperature !== undefined) options.temperature = overrides.temperature;
+  roleOverride = overrides.role || null;
+  try {
+    return await fn();
+  } finally {
+    options.model = saved.model;
+    options.temperature = saved.temperature;
+    roleOverride = null;
+  }
+}
+
+// Runs beforePrompt hooks, then records the prompt (with any images from --image or /image);
+// returns false if a hook vetoed it
+async function submitPrompt(userInput) {
+  const hooks = await runHooks('beforePrompt', { prompt: userInput });
+  if (hooks.blocked) {
+    logStatus(`[Hook blocked prompt: ${hooks.reason}]`);
+    return false;
+  }
+  beginTurn(userInput);
+  const extra = hooks.messages.length ? `\n\n${hooks.messages.join('\n')}` : '';
+  const text = buildUserContent(userInput) + extra;
+  chatHistory.push({ role: 'user', content: pendingImages.length ? [{ type: 'text', text }, ...pendingImages] : text });
+  pendingImages = [];
+  return true;
+}
+
+// Images: messages hold { type: 'image', path, sha256, mimeType, bytes, width, height } parts, so sessions
+// store a reference rather than the data. Requests get a base64 data URL, cached by hash; after a reload
+// the file is read again and only sent if its hash still matches.
+const MAX_IMAGE_BYTES = 20 * 1024 * 1024;
+const imageDataCache = new Map();
+let pendingImages = [];
+let pendingToolImages = [];
+
+function sniffImageType(buf) {
+  if (buf.length >= 24 && buf.readUInt32BE(0) === 0x89504e47) return { mimeType: 'image/png', width: buf.readUInt32BE(16), height: buf.readUInt32BE(20) };
+  if (buf.length >= 10 && buf.toString('latin1', 0, 4) === 'GIF8') return { mimeType: 'image/gif', width: buf.readUInt16LE(6), height: buf.readUInt16LE(8) };
+  if (buf.length >= 30 && buf.toString('latin1', 0, 4) === 'RIFF' && buf.toString('latin1', 8, 12) === 'WEBP') {
+    const chunk = buf.toString('latin1', 12, 16);
+    if (chunk === 'VP8X') return { mimeType: 'image/webp', width: 1 + buf.readUIntLE(24, 3), height: 1 + buf.readUIntLE(27, 3) };
+    if (chunk === 'VP8L') {
+      const bits = buf.readUInt32LE(21);
+      return { mimeType: 'image/webp', width: 1 + (bits & 0x3fff), height: 1 + ((bits >> 14) & 0x3fff) };
+    }
+    return { mimeType: 'image/webp', width: buf.readUInt16LE(26) & 0x3fff, height: buf.readUInt16LE(28) & 0x3fff };
+  }
+  if (buf.length >= 4 && buf[0] === 0xff && buf[1] === 0xd8) {
+    // Walk the JPEG segments to the first start-of-frame marker
+    let i = 2;
+    while (i + 9 < buf.length && buf[i] === 0xff) {
+      const marker = buf[i + 1];
+      if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+        return { mimeType: 'image/jpeg', width: buf.readUInt16BE(i + 7), height: buf.readUInt16BE(i + 5) };
+      }
+      i += 2 + buf.readUInt16BE(i + 2);
+    }
+    return { mimeType: 'image/jpeg', width: null, height: null };
+  }
+  return null;
+}
+
+// Reads an image and returns its message part; throws for unsupported or oversized files
+function loadImagePart(filePath) {
+  const p = path.resolve(filePath);
+  const stat = fs.statSync(p);
+  if (!stat.isFile()) throw new Error(`${p} is not a file`);
+  if (stat.size > MAX_IMAGE_BYTES) throw new Error(`${p} is larger than ${MAX_IMAGE_BYTES / 1024 / 1024} MB`);
+  const buf = fs.readFileSync(p);
+  const type = sniffImageType(buf);
+  if (!type) throw new Error(`${p} is not a PNG, JPEG, GIF or WebP image`);
+  const sha256 = crypto.createHash('sha256').update(buf).digest('hex');
+  imageDataCache.set(sha256, `data:${type.mimeType};base64,${buf.toString('base64')}`);
+  return { type: 'image', path: p, sha256, mimeType: type.mimeType, bytes: buf.length, width: type.width, height: type.height };
+}
+
+// Data URL for a stored part, or null if the file is gone or no longer matches its hash
+function imageDataUrl(part) {
+  if (imageDataCache.has(part.sha256)) return imageDataCache.get(part.sha256);
+  try {
+    const buf = fs.readFileSync(part.path);
+    if (crypto.createHash('sha256').update(buf).digest('hex') !== part.sha256) return null;
+    const url = `data:${part.mimeType};base64,${buf.toString('base64')}`;
+    imageDataCache.set(part.sha256, url);
+    return url;
+  } catch (_) {
+    return null;
+  }
+}
+
+function describeImage(part) {
+  const size = part.width && part.height ? `${part.width}x${part.height}, ` : '';
+  return `${part.path} (${size}${Math.ceil(part.bytes / 1024)} KB)`;
+}
+
+// Plain text of a message's content (string or text/image parts), for exports, summaries and listings
+function messageText(content) {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return content == null ? '' : JSON.stringify(content);
+  return content.map(p => (p.type === 'image' ? `[Image: ${p.path}]` : p.text)).join('\n');
+}
+
+// Chat Completions content parts; images that can no longer be read become a note
+function toApiContent(content) {
+  if (!Array.isArray(content)) return content;
+  return content.map((p) => {
+    if (p.type !== 'image') return { type: 'text', text: p.text };
+    const url = imageDataUrl(p);
+    return url
+      ? { type: 'image_url', image_url: { url } }
+      : { type: 'text', text: `[Image ${p.path} is missing or has changed since it was attached]` };
+  });
+}
+
+// OpenAI's high-detail estimate: fit in 2048x2048, shortest side to 768, then 170 tokens per 512px tile plus 85
+function estimateImageTokens(part) {
+  if (!part.width || !part.height) return 765;
+  let w = part.width;
+  let h = part.height;
+  const fit = Math.min(1, 2048 / Math.max(w, h));
+  w *= fit; h *= fit;
+  const shrink = Math.min(1, 768 / Math.min(w, h));
+  w *= shrink; h *= shrink;
+  return 85 + 170 * Math.ceil(w / 512) * Math.ceil(h / 512);
+}
+
+function buildUserContent(text) {
+  return (options.in ? fileData + "\n" : "") + text + (options.dev ? "\nDon't respond with anything other than code. Don't include any markdown." : "");
+}
+
+function toChatMessages() {
+  // A custom command's role replaces the leading system message for its prompt
+  let history = roleOverride
+    ? [{ role: 'system', content: roleOverride }, ...(chatHistory[0]?.role === 'system' ? chatHistory.slice(1) : chatHistory)]
+    : chatHistory;
+  if (projectInstructions) history = [{ role: 'system', content: projectInstructions.text }, ...history];
+  if (structuredOutput) history = [{ role: 'system', content: structuredOutput.instruction }, ...history];
+  // Preserve tool call metadata for Chat Completions API
+  return history.map((m) => {
+    const base = { role: m.role, content: toApiContent(m.content) };
+    if (m.role === 'assistant' && m.tool_calls) {
+      base.tool_calls = m.tool_calls;
+    }
+    if (m.role === 'tool' && m.tool_call_id) {
+      base.tool_call_id = m.tool_call_id;
+    }
+    return base;
+  });
+}
+
+// Context-window management: rough token estimates (~4 chars per token) against per-model limits
+const MODEL_CONTEXT_LIMITS = [
+  [/^gpt-4\.1/, 1047576],
+  [/^gpt-5/, 400000],
+  [/^o\d/, 200000],
+  [/^gpt-4o/, 128000],
+  [/^gpt-4-turbo/, 128000],
+  [/^gpt-4/, 8192],
+  [/^gpt-3\.5-turbo/, 16385],
+];
+const DEFAULT_CONTEXT_LIMIT = 128000;
+const DEFAULT_OUTPUT_RESERVE = 4096;
+const KEEP_RECENT_TURNS = 2;
+const TRIMMED_TOOL_OUTPUT_CHARS = 1500;
+const SUMMARY_PREFIX = '[Summary of earlier conversation]';
+
+function estimateTokens(text) {
+  return Math.ceil(String(text ?? '').length / 4);
+}
+
+function estimateMessageTokens(m) {
+  let n = 4;
+  if (Array.isArray(m.content)) {
+    for (const p of m.content) n += p.type === 'image' ? estimateImageTokens(p) : estimateTokens(p.text);
+  } else {
+    n += estimateTokens(typeof m.content === 'string' ? m.content : JSON.stringify(m.content ?? ''));
+  }
+  if (m.tool_calls) n += estimateTokens(JSON.stringify(m.tool_calls));
+  return n;
+}
+
+function estimateRequestTokens() {
+  return chatHistory.reduce((sum, m) => sum + estimateMessageTokens(m), 0)
+    + estimateTokens(JSON.stringify(getToolDefinitions()))
+    + (projectInstructions ? estimateTokens(projectInstructions.text) : 0)
+    + (structuredOutput ? estimateTokens(structuredOutput.instruction) : 0);
+}
+
+// config.json "contextLimits" (by model id) wins, then the provider profile's contextWindow, then the table
+function getContextLimit(model = options.model) {
+  const cfg = readConfig();
+  if (Number.isFinite(cfg.contextLimits?.[model])) return cfg.contextLimits[model];
+  const profile = getProviderProfiles()[activeProvider];
+  if (Number.isFinite(profile?.contextWindow)) return profile.contextWindow;
+  const known = MODEL_CONTEXT_LIMITS.find(([re]) => re.test(model));
+  return known ? known[1] : DEFAULT_CONTEXT_LIMIT;
+}
+
+function getContextBudget() {
+  const reserve = typeof options.maxTokens === 'number' && !Number.isNaN(options.maxTokens) ? options.maxTokens : DEFAULT_OUTPUT_RESERVE;
+  return Math.max(getContextLimit() - reserve, 1000);
+}
+
+function trimToolOutput(m) {
+  const text = String(m.content ?? '');
+  if (m.trimmed || text.length <= TRIMMED_TOOL_OUTPUT_CHARS) return false;
+  const head = text.slice(0, 1000);
+  const tail = text.slice(-500);
+  m.content = `[Tool output trimmed to save context: ${text.length - head.length - tail.length} chars removed]\n${head}\n...\n${tail}`;
+  m.trimmed = true;
+  return true;
+}
+
+// Shorten tool outputs in chatHistory[from, to), oldest first, until the request fits
+function trimToolOutputs(from, to, budget) {
+  let count = 0;
+  // Estimated once; each trimmed message takes its own saving off the total
+  let tokens = estimateRequestTokens();
+  for (let i = from; i < to && tokens > budget; i++) {
+    const m = chatHistory[i];
+    if (m.role !== 'tool') continue;
+    const before = estimateMessageTokens(m);
+    if (!trimToolOutput(m)) continue;
+    tokens -= before - estimateMessageTokens(m);
+    count++;
+  }
+  return count;
+}
+
+// Replace images in chatHistory[from, to) with a note, oldest first, until the request fits
+function dropImages(from, to, budget) {
+  let count = 0;
+  let tokens = estimateRequestTokens();
+  for (let i = from; i < to && tokens > budget; i++) {
+    const m = chatHistory[i];
+    if (!Array.isArray(m.content) || !m.content.some(p => p.type === 'image')) continue;
+    const before = estimateMessageTokens(m);
+    m.content = m.content.map((p) => {
+      if (p.type !== 'image') return p;
+      count++;
+      return { type: 'text', text: `[Image ${p.path} removed to save context]` };
+    });
+    tokens -= before - estimateMessageTokens(m);
+  }
+  return count;
+}
+
+function renderForSummary(m) {
+  const content = messageText(m.content);
+  if (m.role === 'tool') return `Tool result: ${content.slice(0, 1000)}${content.length > 1000 ? ' …' : ''}`;
+  if (m.role === 'assistant' && m.tool_calls) {
+    const calls = m.tool_calls.map(tc => `${tc.function?.name}(${String(tc.function?.arguments || '').slice(0, 300)})`).join(', ');
+    return `Assistant called ${calls}`;
+  }
+  if (m.summary || m.hookNote) return content;
+  return `${m.role === 'user' ? 'User' : 'Assistant'}: ${content}`;
+}
+
+async function summarizeMessages(messages, instructions, controller) {
+  let transcript = messages.map(renderForSummary).join('\n\n');
+  // Keep the transcript itself within the window, favouring the most recent part
+  const maxChars = getContextBudget() * 3;
+  if (transcript.length > maxChars) transcript = transcript.slice(-maxChars);
+  const system = 'Summarize the conversation below so it can replace the original messages. Keep user goals, decisions, file paths, '
+    + 'commands run and their outcomes, open questions and remaining work. Be concise and factual.'
+    + (instructions ? `\nAdditional instructions: ${instructions}` : '');
+  const reply = await requestModelReply({
+    messages: [{ role: 'system', content: system }, { role: 'user', content: transcript }],
+  }, controller ? { signal: controller.signal } : undefined);
+  recordUsage(reply.usage);
+  return (reply.content || '').trim();
+}
+
+// Replace non-system messages before `cut` (a user-message boundary, so tool call/result pairs stay together)
+async function compactHistory(cut, instructions, controller) {
+  const older = chatHistory.slice(0, cut).filter(m => m.role !== 'system');
+  if (!older.length) return 0;
+  const summary = await summarizeMessages(older, instructions, controller);
+  const systems = chatHistory.slice(0, cut).filter(m => m.role === 'system');
+  const summaryMessage = { role: 'user', content: `${SUMMARY_PREFIX}\n${summary}`, summary: true };
+  const removed = cut - systems.length - 1;
+  // Keep checkpoint rollback points aligned with the shortened history
+  const remap = (n) => (n >= cut ? n - removed : Math.min(n, systems.length + 1));
+  for (const cp of checkpoints) cp.historyLength = remap(cp.historyLength);
+  if (currentTurn) currentTurn.historyLength = remap(currentTurn.historyLength);
+  chatHistory = [...systems, summaryMessage, ...chatHistory.slice(cut)];
+  saveCheckpoints();
+  return older.length;
+}
+
+// The user's own prompts, as opposed to user-role messages the CLI adds (summaries, read_image images, hook notes)
+function isPromptMessage(m) {
+  return m.role === 'user' && !m.summary && !m.toolImages && !m.hookNote;
+}
+
+function userTurnStarts() {
+  const starts = [];
+  chatHistory.forEach((m, i) => { if (isPromptMessage(m)) starts.push(i); });
+  return starts;
+}
+
+async function ensureContextFits(controller) {
+  const budget = getContextBudget();
+  if (estimateRequestTokens() <= budget) return;
+  const starts = userTurnStarts();
+  // Everything before the last few turns is fair game; those turns are only touched as a last resort
+  const protectFrom = starts.length > KEEP_RECENT_TURNS ? starts[starts.length - KEEP_RECENT_TURNS] : 0;
+
+  const trimmedOld = trimToolOutputs(0, protectFrom, budget);
+  if (trimmedOld) {
+    logStatus(`[Context: trimmed ${trimmedOld} old tool output(s)]`);
+    logLine(`CONTEXT trim count=${trimmedOld} tokens=${estimateRequestTokens()} budget=${budget}`);
+  }
+  const droppedOld = dropImages(0, protectFrom, budget);
+  if (droppedOld) {
+    logStatus(`[Context: removed ${droppedOld} old image(s)]`);
+    logLine(`CONTEXT drop-images count=${droppedOld} tokens=${estimateRequestTokens()} budget=${budget}`);
+  }
+  if (estimateRequestTokens() > budget && protectFrom > 0) {
+    const count = await compactHistory(protectFrom, '', controller);
+    if (count) {
+      logStatus(`[Context: summarized ${count} earlier message(s)]`);
+      logLine(`CONTEXT summarize count=${count} tokens=${estimateRequestTokens()} budget=${budget}`);
+    }
+  }
+  if (estimateRequestTokens() > budget) {
+    const trimmedRecent = trimToolOutputs(0, chatHistory.length, budget);
+    if (trimmedRecent) {
+      logStatus(`[Context: trimmed ${trimmedRecent} recent tool output(s)]`);
+      logLine(`CONTEXT trim-recent count=${trimmedRecent} tokens=${estimateRequestTokens()} budget=${budget}`);
+    }
+    // The latest message (usually the prompt that attached the image) is left alone
+    const droppedRecent = dropImages(0, chatHistory.length - 1, budget);
+    if (droppedRecent) {
+      logStatus(`[Context: removed ${droppedRecent} recent image(s)]`);
+      logLine(`CONTEXT drop-images-recent count=${droppedRecent} tokens=${estimateRequestTokens()} budget=${budget}`);
+    }
+  }
+  await saveSession();
+}
+
+// Define tool specifications for function calling
+const patchOperationSchema = {
+  type: 'object',
+  properties: {
+    op: { type: 'string', enum: ['replace_range', 'insert_at', 'replace_regex', 'append', 'prepend'] },
+    // replace_range
+    startLine: { type: 'number', description: '1-based start line for replace_range.' },
+    endLine: { type: 'number', description: '1-based end line (inclusive) for replace_range.' },
+    newContent: { type: 'string', description: 'New content for replace/insert/append/prepend.' },
+    // insert_at
+    line: { type: 'number', description: '1-based line for insert_at.' },
+    position: { type: 'string', enum: ['before', 'after'], description: 'Insert before/after the given line.' },
+    // replace_regex
+    pattern: { type: 'string', description: 'Regex pattern string (no delimiters).'},
+    flags: { type: 'string', description: 'Regex flags, e.g., gmi.' },
+  },
+  required: ['op']
+};
+
+const toolDefinitions = [
+  {
+    type: 'function',
+    function: {
+      name: 'run_command',
+      description: 'Run a shell command in the project directory and return stdout/stderr/exitCode. Long output is cut to its head and tail. Note: This is non-interactive; commands/scripts that require additional user input (prompts) will not work. Use start_process for servers and watchers.',
+      parameters: {
+        type: 'object',
+        properties: {
+          command: { type: 'string', description: 'The bash command to execute.' },
+          timeoutMs: { type: 'number', description: 'Optional timeout in milliseconds.', minimum: 100, maximum: 600000 },
+          cwd: { type: 'string', description: 'Directory to run in (default: the project directory).' },
+          env: { type: 'object', additionalProperties: { type: 'string' }, description: 'Extra environment variables.' },
+          maxOutputChars: { type: 'number', description: 'Characters of stdout and of stderr to return (default 20000).', minimum: 1000, maximum: 200000 }
+        },
+        required: ['command']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'start_process',
+      description: 'Start a long-running shell command (dev server, watcher) in the background and return a handle id plus its first output. Processes are stopped when the CLI exits.',
+      parameters: {
+        type: 'object',
+        properties: {
+          command: { type: 'string', description: 'The bash command to start.' },
+          cwd: { type: 'string', description: 'Directory to run in (default: the project directory).' },
+          env: { type: 'object', additionalProperties: { type: 'string' }, description: 'Extra environment variables.' },
+          waitMs: { type: 'number', description: 'How long to wait for initial output before returning (default 1000).', minimum: 0, maximum: 30000 }
+        },
+        required: ['command']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'read_process_output',
+      description: 'Read output a background process produced since the last read, and whether it is still running.',
+      parameters: {
+        type: 'object',
+        properties: {
+          id: { type: 'number', description: 'Handle id from start_process.' },
+          waitMs: { type: 'number', description: 'Wait up to this long for new output (default 0).', minimum: 0, maximum: 30000 },
+          maxOutputChars: { type: 'number', description: 'Characters to return (default 20000).', minimum: 1000, maximum: 200000 }
+        },
+        required: ['id']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'stop_process',
+      description: 'Stop a background process (SIGTERM, then SIGKILL) and return its remaining output.',
+      parameters: {
+        type: 'object',
+        properties: {
+          id: { type: 'number', description: 'Handle id from start_process.' }
+        },
+        required: ['id']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'search_files',
+      description: 'Search for files by name substring within the current workspace directory. Skips .git, node_modules and .gitignore\'d paths.',
+      parameters: {
+        type: 'object',
+        properties: {
+          query: { type: 'string', description: 'Case-insensitive substring to match in file paths.' },
+          maxResults: { type: 'number', description: 'Maximum number of results to return.', minimum: 1, maximum: 500 }
+        },
+        required: ['query']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'grep_files',
+      description: 'Search file contents in the workspace (read-only, no approval needed). Respects .gitignore, skips binary files and returns file/line/column matches.',
+      parameters: {
+        type: 'object',
+        properties: {
+          pattern: { type: 'string', description: 'Text to find; a JavaScript regular expression when regex is true.' },
+          regex: { type: 'boolean', description: 'Treat pattern as a regular expression (default false: literal text).' },
+          caseSensitive: { type: 'boolean', description: 'Match case exactly (default true).' },
+          include: { type: 'array', items: { type: 'string' }, description: 'Only search files matching these globs, e.g. ["*.js", "src/**"].' },
+          exclude: { type: 'array', items: { type: 'string' }, description: 'Skip files matching these globs.' },
+          path: { type: 'string', description: 'Directory or file to search (default: workspace root).' },
+          contextLines: { type: 'number', description: 'Lines of context before and after each match.', minimum: 0, maximum: 10 },
+          maxResults: { type: 'number', description: 'Maximum number of matches to return (default 100).', minimum: 1, maximum: 1000 }
+        },
+        required: ['pattern']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'path_exists',
+      description: 'Check if a file or directory exists and whether it is a directory.',
+      parameters: {
+        type: 'object',
+        properties: {
+          targetPath: { type: 'string', description: 'Path to check, relative or absolute.' }
+        },
+        required: ['targetPath']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'read_dir',
+      description: 'Get the immediate contents of a directory.',
+      parameters: {
+        type: 'object',
+        properties: {
+          dirPath: { type: 'string', description: 'Directory path.' },
+          includeTypes: { type: 'boolean', description: 'Include entry types (file/dir).' }
+        },
+        required: ['dirPath']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'read_file',
+      description: 'Read a text file and return its contents (truncated to 200KB).',
+      parameters: {
+        type: 'object',
+        properties: {
+          filePath: { type: 'string', description: 'Path to the file.' },
+          maxBytes: { type: 'number', description: 'Optional max bytes to read (<= 200000).' }
+        },
+        required: ['filePath']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'read_image',
+      description: 'Look at an image file (PNG, JPEG, GIF or WebP, up to 20 MB). The image is shown to you in the next message.',
+      parameters: {
+        type: 'object',
+        properties: {
+          filePath: { type: 'string', description: 'Path to the image.' }
+        },
+        required: ['filePath']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'write_file',
+      description: 'Create or overwrite a text file with provided content.',
+      parameters: {
+        type: 'object',
+        properties: {
+          filePath: { type: 'string', description: 'Path to the file to write.' },
+          content: { type: 'string', description: 'Full file content to write.' }
+        },
+        required: ['filePath', 'content']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'patch_file',
+      description: 'Apply structured text edits to a file (line or regex based). Operations: replace_range, insert_at, replace_regex, append, prepend.',
+      parameters: {
+        type: 'object',
+        properties: {
+          filePath: { type: 'string', description: 'Path to the file to modify.' },
+          operations: {
+            type: 'array',
+            description: 'Ordered list of patch operations to apply.',
+            items: patchOperationSchema
+          }
+        },
+        required: ['filePath', 'operations']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'edit_files',
+      description: 'Change several files as one transaction: all edits are staged, shown as one combined diff and confirmed once, then every file is written or none is. Each edit gives the full new content, patch_file operations, or delete: true.',
+      parameters: {
+        type: 'object',
+        properties: {
+          edits: {
+            type: 'array',
+            description: 'One entry per file (each file at most once).',
+            items: {
+              type: 'object',
+              properties: {
+                filePath: { type: 'string', description: 'Path of the file to create, change or delete.' },
+                content: { type: 'string', description: 'Full new content of the file.' },
+                operations: { type: 'array', description: 'patch_file operations to apply to the existing file.', items: patchOperationSchema },
+                delete: { type: 'boolean', description: 'Delete the file.' }
+              },
+              required: ['filePath']
+            }
+          }
+        },
+        required: ['edits']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'apply_patch',
+      description: 'Apply a standard unified diff (one or more files, --- a/path / +++ b/path headers, /dev/null to create or delete). Hunks are located by their context, so line numbers may be approximate. Either every hunk applies or nothing is written; per-hunk results are returned.',
+      parameters: {
+        type: 'object',
+        properties: {
+          patch: { type: 'string', description: 'The unified diff text.' },
+          fuzz: { type: 'number', description: 'How many context lines at each end of a hunk may be ignored when it does not match exactly (default 2).', minimum: 0, maximum: 3 }
+        },
+        required: ['patch']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'manage_todo',
+      description: 'Create, update, list, or delete todo items for this interactive session.',
+      parameters: {
+        type: 'object',
+        properties: {
+          action: { type: 'string', enum: ['create', 'list', 'update', 'delete', 'complete'], description: 'The action to perform.' },
+          id: { type: 'number', description: 'Todo ID for update/delete/complete.' },
+          title: { type: 'string', description: 'Short title for create/update.' },
+          description: { type: 'string', description: 'Detailed notes.' }
+        },
+        required: ['action']
+      }
+    }
+  }
+];
+
+// Custom tools: "tools" in config.json and in .gpt/tools.json ({ "tools": [...] }), project entries win by name.
+// Each has name, description, parameters (JSON schema) and either "command" (a shell template where
+// {{param}} becomes the shell-quoted argument) or "module" (a JS file exporting a handler, relative to its file).
+const customToolWarnings = new Set();
+
+function warnCustomTool(message) {
+  if (customToolWarnings.has(message)) return;
+  customToolWarnings.add(message);
+  console.error(`[Custom tools] ${message}`);
+}
+
+function getCustomTools() {
+  const sources = [
+    { entries: readGlobalConfig().tools, baseDir: getConfigDir(), origin: getConfigPath() }
+  ];
+  const projectConfig = getProjectConfigPath();
+  if (projectConfig) sources.push({ entries: readProjectLayer().tools, baseDir: path.dirname(projectConfig), origin: projectConfig });
+  const projectFile = path.join(process.cwd(), '.gpt', 'tools.json');
+  try {
+    if (fs.existsSync(projectFile) && !isTrustedProject(process.cwd())) {
+      warnCustomTool(`Ignoring ${projectFile}: run "gpt trust" in ${process.cwd()} to load it`);
+    } else if (fs.existsSync(projectFile)) {
+      const data = JSON.parse(fs.readFileSync(projectFile, 'utf8'));
+      sources.push({ entries: Array.isArray(data) ? data : data.tools, baseDir: path.dirname(projectFile), origin: projectFile });
+    }
+  } catch (e) {
+    warnCustomTool(`Failed to read ${projectFile}: ${e?.message || e}`);
+  }
+  const builtin = new Set(toolDefinitions.map(t => t.function.name));
+  const tools = new Map();
+  for (const { entries, baseDir, origin } of sources) {
+    if (!Array.isArray(entries)) continue;
+    for (const t of entries) {
+      const name = String(t?.name || '');
+      if (!/^[a-zA-Z0-9_-]{1,64}$/.test(name)) { warnCustomTool(`Skipping tool with invalid name "${name}" in ${origin}`); continue; }
+      if (builtin.has(name)) { warnCustomTool(`Skipping "${name}" in ${origin}: it is a built-in tool`); continue; }
+      if (!t.command === !t.module) { warnCustomTool(`Skipping "${name}" in ${origin}: set exactly one of "command" or "module"`); continue; }
+      tools.set(name, {
+        name,
+        description: String(t.description || ''),
+        parameters: t.parameters && typeof t.parameters === 'object' ? t.parameters : { type: 'object', properties: {} },
+        command: t.command ? String(t.command) : null,
+        module: t.module ? path.resolve(baseDir, String(t.module)) : null,
+        timeoutMs: Number(t.timeoutMs) || 0,
+        origin
+      });
+    }
+  }
+  return tools;
+}
+
+// Set for the length of a runModelWithTools turn, so size estimates and requests don't re-read tool config from disk
+let turnToolDefinitions = null;
+
+function getToolDefinitions() {
+  if (turnToolDefinitions) return turnToolDefinitions;
+  const custom = [...getCustomTools().values()].map(t => ({
+    type: 'function',
+    function: { name: t.name, description: t.description, parameters: t.parameters }
+  }));
+  // Tools of a crashed MCP server stay listed so calls to them get a clear error
+  const mcp = [...mcpServers.values()].flatMap(server => server.tools.map(t => ({
+    type: 'function',
+    function: { name: t.exposedName, description: `[MCP ${server.name}] ${t.description || ''}`.trim(), parameters: t.inputSchema }
+  })));
+  return [...toolDefinitions, ...custom, ...mcp];
+}
+
+// MCP servers: "mcpServers" in config.json maps a name to { command, args, env, cwd, timeoutMs }.
+// Each is started over stdio (newline-delimited JSON-RPC) and its tools are offered as mcp__<server>__<tool>.
+const MCP_PROTOCOL_VERSION = '2025-06-18';
+const MCP_START_TIMEOUT_MS = 30000;
+const MCP_CALL_TIMEOUT_MS = 60000;
+const mcpServers = new Map();
+
+function mcpToolName(serverName, toolName) {
+  return `mcp__${serverName}__${toolName}`.replace(/[^a-zA-Z0-9_-]/g, '_').slice(0, 64);
+}
+
+function mcpSend(server, message) {
+  server.child.stdin.write(JSON.stringify({ jsonrpc: '2.0', ...message }) + '\n');
+}
+
+function mcpRequest(server, method, params, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    if (!server.child || server.exitCode !== null) {
+      reject(new Error(`MCP server "${server.name}" is not running`));
+      return;
+    }
+    const id = server.nextId++;
+    const timer = setTimeout(() => {
+      server.pending.delete(id);
+      reject(new Error(`MCP server "${server.name}" did not answer ${method} within ${timeoutMs}ms`));
+    }, timeoutMs);
+    server.pending.set(id, { resolve, reject, timer });
+    mcpSend(server, { id, method, params });
+  });
+}
+
+function handleMcpMessage(server, msg) {
+  if (msg.id !== undefined && !msg.method) {
+    const pending = server.pending.get(msg.id);
+    if (!pending) return;
+    server.pending.delete(msg.id);
+    clearTimeout(pending.timer);
+    if (msg.error) pending.reject(new Error(`${msg.error.message || 'MCP error'}${msg.error.code ? ` (${msg.error.code})` : ''}`));
+    else pending.resolve(msg.result);
+    return;
+  }
+  if (msg.method && msg.id !== undefined) {
+    // Requests from the server: only ping is supported (no sampling or roots)
+    if (msg.method === 'ping') mcpSend(server, { id: msg.id, result: {} });
+    else mcpSend(server, { id: msg.id, error: { code: -32601, message: `Method not supported: ${msg.method}` } });
+    return;
+  }
+  if (msg.method === 'notifications/tools/list_changed' && server.status === 'running') {
+    refreshMcpTools(server).catch((e) => logLine(`MCP_ERROR ${server.name} tools/list ${e?.message || e}`));
+  }
+}
+
+async function refreshMcpTools(server) {
+  const tools = [];
+  let cursor;
+  do {
+    const page = await mcpRequest(server, 'tools/list', cursor ? { cursor } : {}, MCP_START_TIMEOUT_MS);
+    for (const t of page?.tools || []) {
+      tools.push({
+        name: t.name,
+        exposedName: mcpToolName(server.name, t.name),
+        description: t.description || '',
+        inputSchema: t.inputSchema && typeof t.inputSchema === 'object' ? t.inputSchema : { type: 'object', properties: {} }
+      });
+    }
+    cursor = page?.nextCursor;
+  } while (cursor);
+  server.tools = tools;
+}
+
+function failMcpServer(server, reason) {
+  if (server.status === 'stopped' || server.status === 'failed' || server.status === 'crashed') return;
+  server.status = server.status === 'running' ? 'crashed' : 'failed';
+  server.error = reason;
+  for (const pending of server.pending.values()) {
+    clearTimeout(pending.timer);
+    pending.reject(new Error(`MCP server "${server.name}" ${reason}`));
+  }
+  server.pending.clear();
+  logLine(`MCP_${server.status.toUpperCase()} ${server.name} ${reason}`);
+  if (server.status === 'crashed') console.error(`[MCP server ${server.name} ${reason}]`);
+}
+
+async function startMcpServer(name, config) {
+  const server = { name, config, status: 'starting', tools: [], pending: new Map(), nextId: 1, child: null, exitCode: null, error: null, stderr: '', serverInfo: null };
+  mcpServers.set(name, server);
+  try {
+    if (!config?.command) throw new Error('no "command" configured');
+    const child = spawn(String(config.command), (config.args || []).map(String), {
+      cwd: config.cwd ? path.resolve(String(config.cwd)) : process.cwd(),
+      env: { ...process.env, ...(config.env || {}) },
+      stdio: ['pipe', 'pipe', 'pipe']
+    });
+    server.child = child;
+    let buffered = '';
+    child.stdout.on('data', (d) => {
+      buffered += d.toString();
+      let nl;
+      while ((nl = buffered.indexOf('\n')) !== -1) {
+        const line = buffered.slice(0, nl).trim();
+        buffered = buffered.slice(nl + 1);
+        if (!line) continue;
+        try { handleMcpMessage(server, JSON.parse(line)); } catch (_) {}
+      }
+    });
+    child.stderr.on('data', (d) => {
+      server.stderr = (server.stderr + d.toString()).slice(-4000);
+      if (debugEnabled) process.stderr.write(`[MCP ${name}] ${d}`);
+    });
+    // A dead server shows up through 'exit'; writes to its closed stdin must not throw
+    child.stdin.on('error', () => {});
+    child.on('error', (e) => {
+      if (server.exitCode === null) server.exitCode = -1;
+      failMcpServer(server, `could not start: ${e?.message || e}`);
+    });
+    child.on('exit', (code, signal) => {
+      server.exitCode = code ?? signal;
+      const lastErr = server.stderr.trim().split('\n').pop();
+      failMcpServer(server, `exited with ${code ?? signal}${lastErr ? `: ${lastErr}` : ''}`);
+    });
+    const init = await mcpRequest(server, 'initialize', {
+      protocolVersion: MCP_PROTOCOL_VERSION,
+      capabilities: {},
+      clientInfo: { name: 'gpt-cli', version: '1.0.0' }
+    }, MCP_START_TIMEOUT_MS);
+    server.serverInfo = init?.serverInfo || null;
+    mcpSend(server, { method: 'notifications/initialized' });
+    await refreshMcpTools(server);
+    server.status = 'running';
+    logLine(`MCP_START ${name} tools=${server.tools.length}`);
+  } catch (e) {
+    failMcpServer(server, e?.message || String(e));
+    if (server.child && server.exitCode === null) server.child.kill();
+  }
+  return server;
+}
+
+async function startMcpServers() {
+  const configured = readConfig().mcpServers;
+  if (!configured || typeof configured !== 'object') return;
+  const started = await Promise.all(Object.entries(configured).map(([name, config]) => startMcpServer(name, config)));
+  for (const server of started) {
+    if (server.status === 'running') logStatus(`[MCP server ${server.name}: ${server.tools.length} tool(s)]`);
+    else console.error(`[MCP server ${server.name} ${server.status}: ${server.error}]`);
+  }
+}
+
+function stopMcpServer(server) {
+  if (server.child && server.exitCode === null) {
+    server.status = 'stopped';
+    server.child.stdin.end();
+    server.child.kill('SIGTERM');
+  }
+  server.status = 'stopped';
+}
+
+function stopMcpServers() {
+  for (const server of mcpServers.values()) stopMcpServer(server);
+}
+
+function findMcpTool(exposedName) {
+  for (const server of mcpServers.values()) {
+    const tool = server.tools.find(t => t.exposedName === exposedName);
+    if (tool) return { server, tool };
+  }
+  return null;
+}
+
+function formatMcpResult(result) {
+  const parts = (result?.content || []).map(c => (c.type === 'text' ? c.text : JSON.stringify(c)));
+  if (result?.structuredContent && !parts.length) parts.push(JSON.stringify(result.structuredContent));
+  return parts.join('\n');
+}
+
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+function expandCommandTemplate(template, args) {
+  return template.replace(/\{\{\s*([a-zA-Z0-9_-]+)\s*\}\}/g, (_, key) => {
+    const value = args?.[key];
+    if (value === undefined || value === null) return '';
+    if (Array.isArray(value)) return value.map(v => shellQuote(typeof v === 'object' ? JSON.stringify(v) : v)).join(' ');
+    return shellQuote(typeof value === 'object' ? JSON.stringify(value) : value);
+  });
+}
+
+
+function logLine(line) {
+  if (!logging.enabled) return;
+  try {
+    fs.appendFileSync(logging.file, `[${new Date().toISOString()}] ${line}\n`);
+  } catch (_) {}
+}
+
+function colorizePatch(patch) {
+  const reset = '\x1b[0m';
+  const green = '\x1b[32m';
+  const red = '\x1b[31m';
+  const cyan = '\x1b[36m';
+  const dim = '\x1b[2m';
+  return patch.split('\n').map(line => {
+    if (line.startsWith('+++') || line.startsWith('---')) return dim + line + reset;
+    if (line.startsWith('@@')) return cyan + line + reset;
+    if (line.startsWith('+') && !line.startsWith('+++')) return green + line + reset;
+    if (line.startsWith('-') && !line.startsWith('---')) return red + line + reset;
+    return line;
+  }).join('\n');
+}
+
+function printDiffPreview(changes) {
+  const patch = changes.map(c => createTwoFilesPatch(
+    c.before === null ? '/dev/null' : c.path,
+    c.after === null ? '/dev/null' : c.path,
+    String(c.before ?? ''), String(c.after ?? ''), '', ''
+  ).replace(/\n$/, '')).join('\n');
+  const lines = patch.split('\n');
+  const head = lines.slice(0, diffPreview.maxLines);
+  const truncated = lines.length > diffPreview.maxLines;
+  logStatus(colorizePatch(head.join('\n')) + (truncated ? `\n[Diff truncated to ${diffPreview.maxLines} line(s)]` : ''));
+}
+
+// Write approval for the file tools, one prompt per call: flags and rules settle each path, the combined diff is
+// previewed, then a single once/session/project/no question covers whatever is left (denied without a terminal).
+// changes is an array of { path, before, after }; a null before/after means the file is created/deleted.
+async function confirmFileChanges(toolName, changes, promptText) {
+  const paths = changes.map(c => c.path);
+  let changed = 0;
+  for (const c of changes) changed += countChangedLines(c.before ?? '', c.after ?? '');
+  const undecided = settlePermission(toolName, 'write', paths);
+  if (!undecided) return { proceed: false, changed };
+  if (diffPreview.enabled && changed >= diffPreview.thresholdLines) printDiffPreview(changes);
+  if (undecided.length && !await promptPermission(toolName, 'write', undecided, promptText)) {
+    logStatus('[Change aborted]');
+    logLine(`DIFF_ABORT path=${paths.join(',')} changedLines=${changed}`);
+    return { proceed: false, changed };
+  }
+  logLine(`DIFF_APPLY path=${paths.join(',')} changedLines=${changed}`);
+  return { proceed: true, changed };
+}
+
+// patch_file operations (also used by edit_files); throws on an invalid operation
+function applyPatchOperations(content, ops) {
+  for (const op of ops) {
+    const kind = String(op.op || '').toLowerCase();
+    if (kind === 'replace_range') {
+      const start = Number(op.startLine);
+      const end = Number(op.endLine);
+      if (!Number.isInteger(start) || !Number.isInteger(end) || start < 1 || end < start) {
+        throw new Error('Invalid startLine/endLine');
+      }
+      const lines = content.split('\n');
+      const before = lines.slice(0, start - 1);
+      const after = lines.slice(end);
+      const mid = String(op.newContent ?? '');
+      const midLines = mid.length ? mid.split('\n') : [];
+      content = [...before, ...midLines, ...after].join('\n');
+    } else if (kind === 'insert_at') {
+      const line = Number(op.line);
+      const pos = (op.position || 'before').toLowerCase();
+      if (!Number.isInteger(line) || line < 1) throw new Error('Invalid line');
+      const lines = content.split('\n');
+      const idx = pos === 'after' ? line : line - 1; // after inserts after given line
+      const addLines = String(op.newContent ?? '').split('\n');
+      const head = lines.slice(0, idx);
+      const tail = lines.slice(idx);
+      content = [...head, ...addLines, ...tail].join('\n');
+    } else if (kind === 'replace_regex') {
+      const pat = String(op.pattern || '');
+      const flags = String(op.flags || '');
+      const re = new RegExp(pat, flags);
+      const repl = String(op.newContent ?? '');
+      content = content.replace(re, repl);
+    } else if (kind === 'append') {
+      content = content + String(op.newContent ?? '');
+    } else if (kind === 'prepend') {
+      content = String(op.newContent ?? '') + content;
+    } else {
+      throw new Error(`Unsupported op: ${kind}`);
+    }
+  }
+  return content;
+}
+
+// Unified diff parsing for apply_patch. Hunk line counts are not trusted (models get them wrong);
+// a hunk runs until the next @@ or file header.
+function parseUnifiedDiff(text) {
+  const files = [];
+  const lines = String(text || '').replace(/\r\n/g, '\n').replace(/\n$/, '').split('\n');
+  let file = null;
+  let hunk = null;
+  const headerName = (line) => {
+    const name = line.slice(4).split('\t')[0].trim();
+    return name === '/dev/null' ? null : name;
+  };
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (line.startsWith('--- ') && (lines[i + 1] || '').startsWith('+++ ')) {
+      let oldPath = headerName(line);
+      let newPath = headerName(lines[i + 1]);
+      // Strip git's a/ and b/ prefixes
+      if ((oldPath === null || oldPath.startsWith('a/')) && (newPath === null || newPath.startsWith('b/'))) {
+        if (oldPath) oldPath = oldPath.slice(2);
+        if (newPath) newPath = newPath.slice(2);
+      }
+      file = { oldPath, newPath, hunks: [] };
+      files.push(file);
+      hunk = null;
+      i++;
+      continue;
+    }
+    const header = line.match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/);
+    if (header) {
+      if (!file) throw new Error(`Hunk before any ---/+++ file header: ${line}`);
+      hunk = { header: line, oldStart: Number(header[1]), lines: [], oldNoEol: false, newNoEol: false };
+      file.hunks.push(hunk);
+      continue;
+    }
+    if (!hunk) continue;
+    if (line.startsWith('\\')) {
+      const prev = hunk.lines[hunk.lines.length - 1];
+      if (prev && prev.type !== '+') hunk.oldNoEol = true;
+      if (prev && prev.type !== '-') hunk.newNoEol = true;
+    } else if (line === '' || ' -+'.includes(line[0])) {
+      // A bare empty line is context whose single space was stripped
+      hunk.lines.push({ type: line === '' ? ' ' : line[0], text: line.slice(1) });
+    } else {
+      hunk = null;
+    }
+  }
+  return files;
+}
+
+function findHunkPosition(lines, oldLines, hint, minIndex, loose) {
+  const norm = loose ? (t) => t.replace(/\s+/g, ' ').trim() : (t) => t;
+  const want = oldLines.map(norm);
+  let best = -1;
+  for (let pos = minIndex; pos + want.length <= lines.length; pos++) {
+    let ok = true;
+    for (let j = 0; j < want.length; j++) {
+      if (norm(lines[pos + j]) !== want[j]) { ok = false; break; }
+    }
+    // Prefer the match closest to where the hunk header says it should be
+    if (ok && (best === -1 || Math.abs(pos - hint) < Math.abs(best - hint))) best = pos;
+    if (ok && pos > hint) break;
+  }
+  return best;
+}
+
+// Apply parsed hunks to file content; each hunk is located by its context nearest its header line,
+// falling back to whitespace-insensitive matching and then to dropping up to `fuzz` context lines at each end
+function applyUnifiedHunks(content, hunks, fuzz) {
+  const eol = content.includes('\r\n') ? '\r\n' : '\n';
+  const lines = content.split(/\r?\n/);
+  let endsWithNewline = lines.length > 0 && lines[lines.length - 1] === '';
+  if (endsWithNewline) lines.pop();
+  const results = [];
+  let delta = 0;
+  let minIndex = 0;
+  hunks.forEach((h, n) => {
+    const oldLines = h.lines.filter(l => l.type !== '+').map(l => l.text);
+    const newLines = h.lines.filter(l => l.type !== '-').map(l => l.text);
+    const leadContext = Math.max(0, h.lines.findIndex(l => l.type !== ' '));
+    let trailContext = 0;
+    for (let k = h.lines.length - 1; k >= 0 && h.lines[k].type === ' '; k--) trailContext++;
+    const hint = Math.max(0, h.oldStart - 1 + delta);
+    let found = null;
+    if (!oldLines.length) {
+      found = { pos: Math.min(hint, lines.length), fuzz: 0, loose: false, head: 0, tail: 0 };
+    }
+    for (let f = 0; !found && f <= fuzz; f++) {
+      const head = Math.min(f, leadContext);
+      const tail = Math.min(f, trailContext);
+      if (f > 0 && head === 0 && tail === 0) break;
+      const want = oldLines.slice(head, oldLines.length - tail);
+      if (!want.length) break;
+      for (const loose of [false, true]) {
+        const pos = findHunkPosition(lines, want, hint + head, minIndex, loose);
+        if (pos !== -1) { found = { pos, fuzz: f, loose, head, tail }; break; }
+      }
+    }
+    if (!found) {
+      results.push({ hunk: n + 1, ok: false, header: h.header, error: 'Context not found (the file may differ from what the patch expects; re-read it)' });
+      return;
+    }
+    const replacement = newLines.slice(found.head, newLines.length - found.tail);
+    const removed = oldLines.length - found.head - found.tail;
+    lines.splice(found.pos, removed, ...replacement);
+    const atEnd = found.pos + replacement.length === lines.length;
+    if (atEnd && h.newNoEol) endsWithNewline = false;
+    else if (atEnd && h.oldNoEol) endsWithNewline = true;
+    const start = found.pos - found.head;
+    const result = { hunk: n + 1, ok: true, line: start + 1, offset: start - (h.oldStart - 1 + delta) };
+    if (found.fuzz) result.fuzz = found.fuzz;
+    if (found.loose) result.whitespace = true;
+    results.push(result);
+    delta += replacement.length - removed;
+    minIndex = found.pos + replacement.length;
+  });
+  let text = lines.join(eol);
+  if (endsWithNewline && lines.length) text += eol;
+  return { content: text, results };
+}
+
+
+
+// Prompt input shared by the REPL and one-shot approvals (set by startInteractive)
+let promptInterface = null;
+
+function canPrompt() {
+  return !!promptInterface || !!process.stdin.isTTY;
+}
+
+async function ask(q) {
+  if (promptInterface) return new Promise((resolve) => promptInterface.question(q, resolve));
+  // One-shot mode: open a short-lived interface just for this question (on stderr under --json)
+  const rl = readline.createInterface({ input: process.stdin, output: structuredOutput ? process.stderr : process.stdout, terminal: true });
+  try {
+    return await new Promise((resolve) => rl.question(q, resolve));
+  } finally {
+    rl.close();
+  }
+}
+
+async function askYesNo(promptText) {
+  while (true) {
+    const ans = (await ask(`${promptText} [y/n]: `)).trim().toLowerCase();
+    if (ans === 'y' || ans === 'yes') return true;
+    if (ans === 'n' || ans === 'no') return false;
+  }
+}
+
+// Workspace sandbox: file tools may only touch paths whose real location is inside an allowed root
+function realpathLoose(p) {
+  // Resolve symlinks through the nearest existing ancestor so not-yet-created files are checked too
+  let current = p;
+  const rest = [];
+  while (true) {
+    try {
+      return path.join(fs.realpathSync(current), ...rest);
+    } catch (_) {
+      const parent = path.dirname(current);
+      if (parent === current) return p;
+      rest.unshift(path.basename(current));
+      current = parent;
+    }
+  }
+}
+
+function getWorkspaceRoot() {
+  return path.resolve(process.cwd(), options.workspace || '.');
+}
+
+function getWorkspaceRoots() {
+  const roots = [getWorkspaceRoot(), ...(options.allowRoot || [])];
+  return roots.map(r => realpathLoose(path.resolve(process.cwd(), r)));
+}
+
+function isInsideRoot(target, root) {
+  const rel = path.relative(root, target);
+  return rel === '' || (!rel.startsWith('..') && !path.isAbsolute(rel));
+}
+
+function isInsideWorkspace(absPath) {
+  if (!options.sandbox) return true;
+  const real = realpathLoose(absPath);
+  return getWorkspaceRoots().some(root => isInsideRoot(real, root));
+}
+
+// Returns the path with symlinks resolved, so permission rules and --allow-write globs are checked against
+// the file that is actually read or written
+function resolveWorkspacePath(input) {
+  const p = path.resolve(process.cwd(), String(input || ''));
+  if (!isInsideWorkspace(p)) {
+    logLine(`SANDBOX_DENY path=${p}`);
+    logStatus(`[Blocked path outside workspace: ${p}]`);
+    throw new Error(`Path is outside the workspace and cannot be accessed: ${p}. Allowed roots: ${getWorkspaceRoots().join(', ')}. Use a path inside the workspace.`);
+  }
+  return realpathLoose(p);
+}
+
+// Workspace walker shared by search_files and grep_files: honours .gitignore files (nested ones too),
+// always skips .git and node_modules, and follows symlinks only while they stay inside the workspace
+const ALWAYS_IGNORED_DIRS = ['.git', 'node_modules'];
+const MAX_SEARCH_FILE_BYTES = 2 * 1024 * 1024;
+
+function parseGitignore(dir) {
+  let text;
+  try { text = fs.readFileSync(path.join(dir, '.gitignore'), 'utf8'); } catch (_) { return null; }
+  const rules = [];
+  for (let line of text.split(/\r?\n/)) {
+    line = line.replace(/\s+$/, '');
+    if (!line || line.startsWith('#')) continue;
+    const negate = line.startsWith('!');
+    if (negate) line = line.slice(1);
+    const dirOnly = line.endsWith('/');
+    if (dirOnly) line = line.slice(0, -1);
+    // A slash anywhere but the end anchors the pattern to the .gitignore's directory
+    const anchored = line.includes('/');
+    if (line.startsWith('/')) line = line.slice(1);
+    if (!line) continue;
+    rules.push({ re: globToRegExp(line), negate, dirOnly, anchored });
+  }
+  return rules.length ? { base: dir, rules } : null;
+}
+
+function isGitignored(ignoreStack, full, isDir) {
+  let ignored = false;
+  for (const { base, rules } of ignoreStack) {
+    const rel = toPosix(path.relative(base, full));
+    const name = path.basename(full);
+    for (const r of rules) {
+      if (r.dirOnly && !isDir) continue;
+      // Later rules win, so a negation can re-include an earlier match
+      if (r.re.test(r.anchored ? rel : name)) ignored = !r.negate;
+    }
+  }
+  return ignored;
+}
+
+function walkWorkspace(startDir, visit) {
+  // .gitignore files between the workspace root and startDir apply as well
+  const root = getWorkspaceRoot();
+  const initial = [];
+  if (isInsideRoot(startDir, root)) {
+    let dir = root;
+    for (const part of path.relative(root, startDir).split(path.sep).filter(Boolean)) {
+      const rules = parseGitignore(dir);
+      if (rules) initial.push(rules);
+      dir = path.join(dir, part);
+    }
+  }
+  const visited = new Set();
+  let stopped = false;
+  function walk(dir, stack) {
+    // Track real directories so symlink loops are walked once
+    const real = realpathLoose(dir);
+    if (visited.has(real)) return;
+    visited.add(real);
+    const own = parseGitignore(dir);
+    const ignoreStack = own ? [...stack, own] : stack;
+    let entries = [];
+    try { entries = fs.readdirSync(dir, { withFileTypes: true }); } catch(_) { return; }
+    for (const e of entries) {
+      if (stopped) return;
+      const full = path.join(dir, e.name);
+      let isDir = e.isDirectory();
+      if (e.isSymbolicLink()) {
+        if (!isInsideWorkspace(full)) continue;
+        try { isDir = fs.statSync(full).isDirectory(); } catch (_) { continue; }
+      }
+      if (isDir && ALWAYS_IGNORED_DIRS.includes(e.name)) continue;
+      if (isGitignored(ignoreStack, full, isDir)) continue;
+      if (visit(full, isDir) === false) { stopped = true; return; }
+      if (isDir) walk(full, ignoreStack);
+    }
+  }
+  walk(startDir, initial);
+}
+
+function matchesAnyGlob(globs, relPath) {
+  // Globs without a slash match the file name at any depth (like rg -g '*.js')
+  return globs.some(g => globToRegExp(toPosix(g)).test(g.includes('/') ? relPath : path.posix.basename(relPath)));
+}
+
+function readTextForSearch(file) {
+  try {
+    if (fs.statSync(file).size > MAX_SEARCH_FILE_BYTES) return null;
+    const buf = fs.readFileSync(file);
+    // NUL bytes near the start mean a binary file
+    if (buf.subarray(0, 8000).includes(0)) return null;
+    return buf.toString('utf8');
+  } catch (_) {
+    return null;
+  }
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Non-interactive approval policy (--yes, --deny-all, --allow-read, --allow-write, --allow-command)
+function globToRegExp(glob) {
+  let re = '';
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    if (c === '*') {
+      if (glob[i + 1] === '*') {
+        i++;
+        if (glob[i + 1] === '/') { i++; re += '(?:.*/)?'; }
+        else re += '.*';
+      } else {
+        re += '[^/]*';
+      }
+    } else if (c === '?') {
+      re += '[^/]';
+    } else if (c === '{' && glob.indexOf('}', i) > i) {
+      // {a,b} alternatives (not nested)
+      const end = glob.indexOf('}', i);
+      re += '(?:' + glob.slice(i + 1, end).split(',').map(part => globToRegExp(part).source.slice(1, -1)).join('|') + ')';
+      i = end;
+    } else {
+      re += c.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp('^' + re + '$');
+}
+
+function toPosix(p) {
+  return p.split(path.sep).join('/');
+}
+
+function matchesPathGlob(glob, absPath) {
+  // Relative globs match against the path relative to the cwd; absolute globs against the full path
+  const pattern = toPosix(glob);
+  const rel = path.relative(process.cwd(), absPath);
+  if (!path.isAbsolute(glob) && (rel.startsWith('..') || path.isAbsolute(rel))) return false;
+  const target = path.isAbsolute(glob) ? toPosix(absPath) : toPosix(rel);
+  return globToRegExp(pattern).test(target);
+}
+
+function matchesCommandPattern(pattern, cmd) {
+  const command = String(cmd || '').trim();
+  const m = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+  if (m) {
+    try { return new RegExp(m[1], m[2]).test(command); } catch (_) { return false; }
+  }
+  // Prefix patterns never match chained or substituted commands, redirection or process substitution
+  // (< > <( >( can write any file the user can); use a /regex/ for those
+  if (/[;&|`\n<>]|\$\(/.test(command)) return false;
+  return command === pattern || command.startsWith(pattern + ' ');
+}
+
+function policyDecision(kind, target) {
+  if (options.denyAll) return { allow: false, reason: '--deny-all' };
+  if (options.yes) return { allow: true, reason: '--yes' };
+  if (kind === 'read' && options.allowRead) return { allow: true, reason: '--allow-read' };
+  if (kind === 'write') {
+    const glob = (options.allowWrite || []).find(g => matchesPathGlob(g, target));
+    if (glob) return { allow: true, reason: `--allow-write ${glob}` };
+  }
+  if (kind === 'command') {
+    const pattern = (options.allowCommand || []).find(p => matchesCommandPattern(p, target));
+    if (pattern) return { allow: true, reason: `--allow-command ${pattern}` };
+  }
+  return null;
+}
+
+// Persistent permission rules: session (memory), project (.gpt/permissions.json), global (config dir)
+const PERMISSION_SCOPES = ['session', 'project', 'global'];
+const permissionRules = { session: [] };
+
+function getPermissionsPath(scope) {
+  if (scope === 'global') return path.join(getConfigDir(), 'permissions.json');
+  if (scope === 'project') return path.join(process.cwd(), '.gpt', 'permissions.json');
+  return null;
+}
+
+function loadPermissionRules(scope) {
+  if (scope === 'session') return permissionRules.session;
+  try {
+    const p = getPermissionsPath(scope);
+    if (fs.existsSync(p)) {
+      const parsed = JSON.parse(fs.readFileSync(p, 'utf8'));
+      return Array.isArray(parsed?.rules) ? parsed.rules : [];
+    }
+  } catch (e) {
+    console.error(`Failed to read ${scope} permissions:`, e?.message || e);
+  }
+  return [];
+}
+
+// .gpt/permissions.json comes with the repo: its deny and ask rules always apply, its allow rules only once
+// the directory is trusted with "gpt trust"
+function projectAllowRulesTrusted() {
+  return isTrustedProject(process.cwd());
+}
+
+function warnUntrustedAllowRules() {
+  const file = getPermissionsPath('project');
+  if (warnedConfigFiles.has(`${file}:allow`)) return;
+  warnedConfigFiles.add(`${file}:allow`);
+  console.error(`[Ignoring allow rules in ${file}: run "gpt trust ." in ${process.cwd()} to apply them]`);
+}
+
+function savePermissionRules(scope, rules) {
+  if (scope === 'session') {
+    permissionRules.session = rules;
+    return true;
+  }
+  try {
+    const p = getPermissionsPath(scope);
+    fs.mkdirSync(path.dirname(p), { recursive: true });
+    fs.writeFileSync(p, JSON.stringify({ rules }, null, 2));
+    return true;
+  } catch (e) {
+    console.error(`Failed to write ${scope} permissions:`, e?.message || e);
+    return false;
+  }
+}
+
+function normalizePermissionRule(rule) {
+  const action = String(rule?.action || '').toLowerCase();
+  if (!['allow', 'deny', 'ask'].includes(action)) throw new Error('Rule action must be allow, deny or ask');
+  const out = { action, tool: String(rule?.tool || '*') };
+  if (rule?.path) out.path = String(rule.path);
+  if (rule?.command) out.command = String(rule.command);
+  if (out.path && out.command) throw new Error('A rule matches either a path or a command, not both');
+  return out;
+}
+
+function describeRule(rule) {
+  const target = rule.path ? ` path=${rule.path}` : (rule.command ? ` command=${rule.command}` : '');
+  return `${rule.action} ${rule.tool}${target}`;
+}
+
+function ruleMatches(rule, toolName, kind, target) {
+  if (!globToRegExp(rule.tool || '*').test(toolName)) return false;
+  if (rule.path) {
+    if (kind !== 'read' && kind !== 'write') return false;
+    return matchesPathGlob(rule.path, target);
+  }
+  if (rule.command) {
+    return kind === 'command' && matchesCommandPattern(rule.command, target);
+  }
+  return true;
+}
+
+// Deny rules win in any scope; otherwise the first allow/ask match in session → project → global order decides
+function evaluatePermissionRules(toolName, kind, target) {
+  let first = null;
+  for (const scope of PERMISSION_SCOPES) {
+    const rules = loadPermissionRules(scope);
+    const skipAllow = scope === 'project' && rules.some(r => r.action === 'allow') && !projectAllowRulesTrusted();
+    if (skipAllow) warnUntrustedAllowRules();
+    for (let i = 0; i < rules.length; i++) {
+      const rule = rules[i];
+      if (skipAllow && rule.action === 'allow') continue;
+      if (!ruleMatches(rule, toolName, kind, target)) continue;
+      const match = { scope, index: i + 1, rule };
+      if (rule.action === 'deny') return match;
+      if (!first) first = match;
+    }
+  }
+  return first;
+}
+
+function explainPermission(toolName, kind, target) {
+  const flag = policyDecision(kind, target);
+  if (flag) return { action: flag.allow ? 'allow' : 'deny', source: `flag ${flag.reason}` };
+  const match = evaluatePermissionRules(toolName, kind, target);
+  if (match) return { action: match.rule.action, source: `${match.scope} rule #${match.index} (${describeRule(match.rule)})` };
+  return { action: 'ask', source: 'default (no matching rule)' };
+}
+
+function permissionKindForTool(toolName) {
+  if (toolName === 'read_file' || toolName === 'read_image' || toolName === 'grep_files') return 'read';
+  if (['write_file', 'patch_file', 'apply_patch', 'edit_files'].includes(toolName)) return 'write';
+  if (toolName === 'run_command' || toolName === 'start_process') return 'command';
+  const custom = getCustomTools().get(toolName);
+  if (custom) return custom.command ? 'command' : 'tool';
+  if (findMcpTool(toolName)) return 'tool';
+  return null;
+}
+
+function addPermissionRule(scope, rule) {
+  const rules = loadPermissionRules(scope).slice();
+  rules.push(normalizePermissionRule(rule));
+  return savePermissionRules(scope, rules);
+}
+
+async function askPermissionChoice(promptText) {
+  while (true) {
+    const ans = (await ask(`${promptText} [y]es once / [s]ession / [p]roject / [n]o: `)).trim().toLowerCase();
+    if (ans === 'y' || ans === 'yes' || ans === 'o' || ans === 'once') return 'once';
+    if (ans === 's' || ans === 'session') return 'session';
+    if (ans === 'p' || ans === 'project') return 'project';
+    if (ans === 'n' || ans === 'no' || ans === 'd' || ans === 'deny') return 'deny';
+  }
+}
+
+// Flags and rules settle each target; returns null if any is denied, otherwise the targets left to ask about
+function settlePermission(toolName, kind, targets) {
+  const undecided = [];
+  for (const t of targets) {
+    const decision = policyDecision(kind, t);
+    if (decision) {
+      logLine(`POLICY ${decision.allow ? 'ALLOW' : 'DENY'} ${kind} ${t} (${decision.reason})`);
+      if (!decision.allow) {
+        logStatus(`[Denied by ${decision.reason}: ${t}]`);
+        return null;
+      }
+      continue;
+    }
+    const match = evaluatePermissionRules(toolName, kind, t);
+    if (match && match.rule.action !== 'ask') {
+      const allow = match.rule.action === 'allow';
+      logLine(`POLICY ${allow ? 'ALLOW' : 'DENY'} ${kind} ${t} (${match.scope} rule #${match.index})`);
+      logStatus(`[${allow ? 'Allowed' : 'Denied'} by ${match.scope} rule #${match.index}: ${t}]`);
+      if (!allow) return null;
+      continue;
+    }
+    undecided.push(t);
+  }
+  return undecided;
+}
+
+// target may be an array (one transaction): flags and rules settle each path, then a single prompt covers the rest
+async function requestPermission(toolName, kind, target, promptText) {
+  const undecided = settlePermission(toolName, kind, Array.isArray(target) ? target : [target]);
+  if (!undecided) return false;
+  return !undecided.length || await promptPermission(toolName, kind, undecided, promptText);
+}
+
+async function promptPermission(toolName, kind, undecided, promptText) {
+  if (!canPrompt()) {
+    // No terminal to ask on (scripts/CI): anything not allowed by a flag or rule is denied
+    logStatus(`[Denied (no terminal for approval): ${undecided.join(', ')}]`);
+    logLine(`POLICY DENY ${kind} ${undecided.join(',')} (no terminal)`);
+    return false;
+  }
+  const choice = await askPermissionChoice(promptText);
+  if (choice === 'deny') return false;
+  if (choice === 'session' || choice === 'project') {
+    for (const t of undecided) {
+      // Remember exactly what was approved: the path (relative for project rules) or the command prefix
+      const rule = { action: 'allow', tool: toolName };
+      if (kind === 'command') rule.command = String(t).trim();
+      else if (kind !== 'tool') rule.path = choice === 'project' ? toPosix(path.relative(process.cwd(), t)) : toPosix(t);
+      if (addPermissionRule(choice, rule)) {
+        logStatus(`[Added ${choice} rule: ${describeRule(rule)}]`);
+        logLine(`POLICY ADD ${choice} ${describeRule(rule)}`);
+      }
+    }
+    if (choice === 'project' && !projectAllowRulesTrusted()) {
+      logStatus('[Project allow rules apply only after "gpt trust"; approved this time]');
+    }
+  }
+  return true;
+}
+
+// Command output handling: tools get the head and tail of long output, the middle is dropped
+const DEFAULT_COMMAND_OUTPUT_CHARS = 20000;
+const MAX_PROCESS_LOG_CHARS = 1000000;
+
+function createOutputBuffer(limit) {
+  const half = Math.floor(limit / 2);
+  let head = '';
+  let tail = '';
+  let total = 0;
+  return {
+    push(chunk) {
+      const text = String(chunk);
+      total += text.length;
+      if (head.length < half) {
+        const take = text.slice(0, half - head.length);
+        head += take;
+        tail += text.slice(take.length);
+      } else {
+        tail += text;
+      }
+      if (tail.length > half) tail = tail.slice(-half);
+    },
+    get truncated() { return total > head.length + tail.length; },
+    text() {
+      const omitted = total - head.length - tail.length;
+      return omitted > 0 ? `${head}\n[... ${omitted} characters omitted ...]\n${tail}` : head + tail;
+    }
+  };
+}
+
+function headTail(text, limit) {
+  const buf = createOutputBuffer(limit);
+  buf.push(text);
+  return buf.text();
+}
+
+// cwd/env options shared by run_command and start_process
+function commandSpawnOptions(args) {
+  const cwd = args?.cwd ? resolveWorkspacePath(args.cwd) : process.cwd();
+  const env = { ...process.env };
+  if (args?.env && typeof args.env === 'object') {
+    for (const [k, v] of Object.entries(args.env)) env[k] = String(v);
+  }
+  return { shell: true, cwd, env, windowsHide: true, stdio: ['ignore', 'pipe', 'pipe'] };
+}
+
+// Child pids of pid, their children and so on, from one ps listing (POSIX)
+function descendantPids(pid) {
+  const result = spawnSync('ps', ['-A', '-o', 'pid=,ppid='], { encoding: 'utf8' });
+  const children = new Map();
+  for (const line of String(result.stdout || '').split('\n')) {
+    const [child, parent] = line.trim().split(/\s+/).map(Number);
+    if (!child) continue;
+    if (!children.has(parent)) children.set(parent, []);
+    children.get(parent).push(child);
+  }
+  const found = [];
+  const queue = [pid];
+  while (queue.length) {
+    for (const child of children.get(queue.shift()) || []) {
+      found.push(child);
+      queue.push(child);
+    }
+  }
+  return found;
+}
+
+// Signal a shell and everything it started. Windows has no process groups or signals: taskkill /T ends the tree.
+// On POSIX a start_process child leads its own group; a foreground command shares ours, so its descendants are found through ps.
+function killProcessTree(child, signal, { group = false } = {}) {
+  if (!child?.pid) return;
+  if (process.platform === 'win32') {
+    spawnSync('taskkill', ['/pid', String(child.pid), '/T', '/F'], { stdio: 'ignore', windowsHide: true });
+    return;
+  }
+  if (group) {
+    try {
+      process.kill(-child.pid, signal);
+      return;
+    } catch (_) {}
+  }
+  for (const pid of [child.pid, ...descendantPids(child.pid)]) {
+    try { process.kill(pid, signal); } catch (_) {}
+  }
+}
+
+// Foreground commands (run_command, hooks, custom tools) still running, so a signal to the CLI can stop them
+const foregroundChildren = new Set();
+
+// Run a shell command to completion, optionally echoing its output live; output is capped to head/tail
+function runShellCommand(cmd, spawnOptions, { timeoutMs = 0, limit = DEFAULT_COMMAND_OUTPUT_CHARS, live = false, input = null } = {}) {
+  return new Promise((resolve) => {
+    const child = spawn(cmd, input === null ? spawnOptions : { ...spawnOptions, stdio: ['pipe', 'pipe', 'pipe'] });
+    foregroundChildren.add(child);
+    if (input !== null) {
+      child.stdin.on('error', () => {});
+      child.stdin.end(input);
+    }
+    const stdout = createOutputBuffer(limit);
+    const stderr = createOutputBuffer(limit);
+    let timedOut = false;
+    let timer = null;
+    if (timeoutMs > 0) {
+      timer = setTimeout(() => {
+        timedOut = true;
+        killProcessTree(child, 'SIGKILL');
+      }, timeoutMs);
+    }
+    child.stdout.on('data', (d) => {
+      stdout.push(d.toString());
+      // Keep stdout for the JSON result under --json
+      if (live) (structuredOutput ? process.stderr : process.stdout).write(d);
+    });
+    child.stderr.on('data', (d) => {
+      stderr.push(d.toString());
+      if (live) process.stderr.write(d);
+    });
+    child.on('close', (code) => {
+      foregroundChildren.delete(child);
+      if (timer) clearTimeout(timer);
+      const result = { exitCode: code, stdout: stdout.text(), stderr: stderr.text() };
+      if (stdout.truncated || stderr.truncated) result.truncated = true;
+      if (timedOut) result.timedOut = true;
+      resolve(result);
+    });
+    child.on('error', (e) => {
+      foregroundChildren.delete(child);
+      if (timer) clearTimeout(timer);
+      resolve({ exitCode: null, error: e?.message || String(e) });
+    });
+  });
+}
+
+// Hooks: "hooks" in config.json maps an event (beforeTool, afterTool, beforePrompt, afterReply) to a list of
+// { command, tools?, timeoutMs? }. The command gets the event as JSON on stdin. In before* hooks a non-zero exit
+// vetoes the call; stdout is added to the conversation (or may be JSON { block, reason, message }).
+const DEFAULT_HOOK_TIMEOUT_MS = 30000;
+
+function getHooks(event, toolName) {
+  const hooks = readConfig().hooks?.[event];
+  if (!Array.isArray(hooks)) return [];
+  return hooks.filter(h => h?.command && (!toolName || globToRegExp(String(h.tools || '*')).test(toolName)));
+}
+
+async function runHooks(event, payload) {
+  const outcome = { blocked: false, reason: '', messages: [] };
+  const blocking = event.startsWith('before');
+  for (const hook of getHooks(event, payload.tool)) {
+    const input = JSON.stringify({ event, cwd: process.cwd(), session: sessionFile || null, ...payload });
+    const spawnOptions = commandSpawnOptions({ env: { GPT_HOOK_EVENT: event, GPT_TOOL_NAME: payload.tool || '' } });
+    const result = await runShellCommand(String(hook.command), spawnOptions, { timeoutMs: Number(hook.timeoutMs) || DEFAULT_HOOK_TIMEOUT_MS, input });
+    const stdout = (result.stdout || '').trim();
+    let reply = null;
+    if (stdout.startsWith('{')) {
+      try { reply = JSON.parse(stdout); } catch (_) {}
+    }
+    const message = reply ? (reply.message ? String(reply.message) : '') : stdout;
+    const failed = result.exitCode !== 0;
+    logLine(`HOOK ${event}${payload.tool ? ` tool=${payload.tool}` : ''} command=${hook.command} exit=${result.exitCode}${result.timedOut ? ' timedOut=true' : ''}${result.error ? ` error=${result.error}` : ''}`);
+    if (message) outcome.messages.push(message);
+    if (blocking && (failed || reply?.block)) {
+      outcome.blocked = true;
+      outcome.reason = String(reply?.reason || message || (result.stderr || '').trim() || result.error || `hook exited with ${result.exitCode}`);
+      logLine(`HOOK_BLOCK ${event}${payload.tool ? ` tool=${payload.tool}` : ''} reason=${outcome.reason}`);
+      return outcome;
+    }
+    if (failed) console.error(`[Hook ${event} failed (exit ${result.exitCode}): ${hook.command}]`);
+  }
+  return outcome;
+}
+
+// Hook messages ride along in the tool result so the tool call/result pairing stays intact
+function withHookMessages(result, messages) {
+  if (!messages.length) return result;
+  try {
+    const parsed = JSON.parse(result);
+    if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) return JSON.stringify({ ...parsed, hookMessages: messages });
+  } catch (_) {}
+  return `${result}\n\n[Hook messages]\n${messages.join('\n')}`;
+}
+
+// Background processes started by start_process, keyed by handle id
+const backgroundProcesses = new Map();
+let nextProcessId = 1;
+
+function appendProcessLog(proc, text) {
+  proc.log += text;
+  if (proc.log.length > MAX_PROCESS_LOG_CHARS) {
+    const drop = proc.log.length - MAX_PROCESS_LOG_CHARS;
+    proc.log = proc.log.slice(drop);
+    proc.dropped += drop;
+  }
+  for (const fn of proc.waiters.splice(0)) fn();
+}
+
+// Output since the last read; output that scrolled out of the kept log is reported as missed
+function takeProcessOutput(proc, limit) {
+  const start = Math.max(proc.cursor, proc.dropped);
+  const missed = start - proc.cursor;
+  const text = proc.log.slice(start - proc.dropped);
+  proc.cursor = proc.dropped + proc.log.length;
+  const out = { output: headTail(text, limit), truncated: text.length > limit };
+  if (missed > 0) out.missedChars = missed;
+  return out;
+}
+
+function waitForProcessOutput(proc, ms) {
+  if (ms <= 0 || proc.exited || proc.dropped + proc.log.length > proc.cursor) return Promise.resolve();
+  return new Promise((resolve) => {
+    const timer = setTimeout(resolve, ms);
+    proc.waiters.push(() => { clearTimeout(timer); resolve(); });
+  });
+}
+
+function describeProcess(proc) {
+  return { id: proc.id, pid: proc.child.pid, command: proc.command, cwd: proc.cwd, running: !proc.exited, exitCode: proc.exitCode, startedAt: proc.startedAt };
+}
+
+async function stopProcess(proc) {
+  if (!proc.exited) {
+    const exited = new Promise((resolve) => proc.child.once('close', resolve));
+    killProcessTree(proc.child, 'SIGTERM', { group: true });
+    const timer = setTimeout(() => killProcessTree(proc.child, 'SIGKILL', { group: true }), 2000);
+    await exited;
+    clearTimeout(timer);
+  }
+  backgroundProcesses.delete(proc.id);
+}
+
+async function stopAllProcesses() {
+  const procs = [...backgroundProcesses.values()];
+  if (!procs.length) return;
+  await Promise.all(procs.map(stopProcess));
+  logStatus(`[Stopped ${procs.length} background process(es)]`);
+  logLine(`STOP_ALL processes=${procs.length}`);
+}
+
+// Last resort if the CLI exits without going through /exit
+process.on('exit', () => {
+  for (const child of foregroundChildren) killProcessTree(child, 'SIGKILL');
+  for (const proc of backgroundProcesses.values()) {
+    if (!proc.exited) killProcessTree(proc.child, 'SIGKILL', { group: true });
+  }
+  stopMcpServers();
+});
+
+// A signal would end the CLI without the 'exit' handler above, leaving commands it started running
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, () => process.exit(128 + os.constants.signals[signal]));
+}
+
+// Custom tools get the same approval, logging and debug output as the built-in ones
+async function runCustomTool(tool, args) {
+  if (tool.command) {
+    const cmd = expandCommandTemplate(tool.command, args);
+    const ok = await requestPermission(tool.name, 'command', cmd, `ChatGPT would like to run ${tool.name}: ${cmd}`);
+    if (!ok) return JSON.stringify({ error: 'Permission denied.' });
+    if (debugEnabled) logStatus(`[Tool call] ${tool.name} ${JSON.stringify({ ...args, command: cmd })}`);
+    logLine(`CALL ${tool.name} args=${JSON.stringify(args)} command=${cmd}`);
+    const live = !options.dev;
+    const result = await runShellCommand(cmd, commandSpawnOptions({}), { timeoutMs: tool.timeoutMs, live });
+    if (result.error) {
+      logLine(`ERROR ${tool.name} ${result.error}`);
+      return JSON.stringify(result);
+    }
+    logStatus(`[Ran ${tool.name} (exit ${result.exitCode ?? 'null'})${result.timedOut ? ` (killed after ${tool.timeoutMs}ms)` : ''}]`);
+    if (debugEnabled && !live) {
+      if (result.stdout) logStatus(`[stdout]\n${result.stdout}`);
+      if (result.stderr) logStatus(`[stderr]\n${result.stderr}`);
+    }
+    logLine(`RESULT ${tool.name} exit=${result.exitCode} stdout_len=${result.stdout.length} stderr_len=${result.stderr.length}`);
+    return JSON.stringify(result);
+  }
+
+  const ok = await requestPermission(tool.name, 'tool', tool.name, `ChatGPT would like to use ${tool.name} (${tool.module})`);
+  if (!ok) return JSON.stringify({ error: 'Permission denied.' });
+  if (debugEnabled) logStatus(`[Tool call] ${tool.name} ${JSON.stringify(args)}`);
+  logLine(`CALL ${tool.name} args=${JSON.stringify(args)} module=${tool.module}`);
+  try {
+    const mod = await import(pathToFileURL(tool.module).href);
+    const handler = typeof mod.default === 'function' ? mod.default : mod.handler;
+    if (typeof handler !== 'function') throw new Error(`${tool.module} exports no default function or "handler"`);
+    const value = await handler(args || {}, { cwd: process.cwd(), workspaceRoots: getWorkspaceRoots() });
+    const text = typeof value === 'string' ? value : JSON.stringify(value ?? { ok: true });
+    logStatus(`[Ran ${tool.name}]`);
+    if (debugEnabled) logStatus(`[${tool.name} result]\n${text}`);
+    logLine(`RESULT ${tool.name} len=${text.length}`);
+    return text;
+  } catch (e) {
+    logLine(`ERROR ${tool.name} ${e?.message || String(e)}`);
+    return JSON.stringify({ error: e?.message || String(e) });
+  }
+}
+
+async function runMcpTool(server, tool, args) {
+  const ok = await requestPermission(tool.exposedName, 'tool', tool.exposedName, `ChatGPT would like to use ${tool.name} from MCP server ${server.name}`);
+  if (!ok) return JSON.stringify({ error: 'Permission denied.' });
+  if (debugEnabled) logStatus(`[Tool call] ${tool.exposedName} ${JSON.stringify(args)}`);
+  logLine(`CALL ${tool.exposedName} args=${JSON.stringify(args)}`);
+  if (server.status !== 'running') {
+    return JSON.stringify({ error: `MCP server "${server.name}" is not running (${server.error || server.status}). The user can restart it with /mcp restart ${server.name}.` });
+  }
+  try {
+    const result = await mcpRequest(server, 'tools/call', { name: tool.name, arguments: args || {} }, Number(server.config?.timeoutMs) || MCP_CALL_TIMEOUT_MS);
+    const text = formatMcpResult(result);
+    logStatus(`[Ran ${server.name}/${tool.name}${result?.isError ? ' (error)' : ''}]`);
+    if (debugEnabled) logStatus(`[${tool.exposedName} result]\n${text}`);
+    logLine(`RESULT ${tool.exposedName} isError=${!!result?.isError} len=${text.length}`);
+    return result?.isError ? JSON.stringify({ error: text || 'MCP tool reported an error' }) : text;
+  } catch (e) {
+    // Crashes and timeouts go back to the model as tool errors
+    logLine(`ERROR ${tool.exposedName} ${e?.message || String(e)}`);
+    return JSON.stringify({ error: e?.message || String(e) });
+  }
+}
+
+// Tool runners with optional permission prompts
+async function runLocalTool(toolName, args) {
+  try {
+    switch (toolName) {
+      case 'run_command': {
+        const cmd = args?.command || '';
+        const ok = await requestPermission('run_command', 'command', cmd, `ChatGPT would like to run: ${cmd}`);
+        if (!ok) return JSON.stringify({ error: 'Permission denied.' });
+        const spawnOptions = commandSpawnOptions(args);
+        const timeoutMs = Math.min(Math.max(Number(args?.timeoutMs) || 0, 0), 600000);
+        const limit = Math.min(Math.max(Number(args?.maxOutputChars) || DEFAULT_COMMAND_OUTPUT_CHARS, 1000), 200000);
+        const callArgs = { command: cmd, timeoutMs: timeoutMs || undefined, cwd: spawnOptions.cwd, env: args?.env ? Object.keys(args.env) : undefined };
+        if (debugEnabled) logStatus(`[Tool call] run_command ${JSON.stringify(callArgs)}`);
+        logLine(`CALL run_command args=${JSON.stringify(callArgs)}`);
+        // Output is shown live unless --dev keeps stdout clean for scripting
+        const live = !options.dev;
+        const result = await runShellCommand(cmd, spawnOptions, { timeoutMs, limit, live });
+        if (result.error) {
+          logLine(`ERROR run_command ${result.error}`);
+          return JSON.stringify(result);
+        }
+        logStatus(`[Ran command (exit ${result.exitCode ?? 'null'})${result.timedOut ? ` (killed after ${timeoutMs}ms)` : ''}]`);
+        if (debugEnabled && !live) {
+          if (result.stdout) logStatus(`[stdout]\n${result.stdout}`);
+          if (result.stderr) logStatus(`[stderr]\n${result.stderr}`);
+        }
+        logLine(`RESULT run_command exit=${result.exitCode} stdout_len=${result.stdout.length} stderr_len=${result.stderr.length}${result.timedOut ? ' timedOut=true' : ''}`);
+        return JSON.stringify(result);
+      }
+      case 'start_process': {
+        const cmd = args?.command || '';
+        const ok = await requestPermission('start_process', 'command', cmd, `ChatGPT would like to start in the background: ${cmd}`);
+        if (!ok) return JSON.stringify({ error: 'Permission denied.' });
+        const spawnOptions = commandSpawnOptions(args);
+        const callArgs = { command: cmd, cwd: spawnOptions.cwd, env: args?.env ? Object.keys(args.env) : undefined };
+        if (debugEnabled) logStatus(`[Tool call] start_process ${JSON.stringify(callArgs)}`);
+        logLine(`CALL start_process args=${JSON.stringify(callArgs)}`);
+        // Its own process group on POSIX, so stop_process reaches whatever it starts
+        const child = spawn(cmd, { ...spawnOptions, detached: process.platform !== 'win32' });
+        const proc = { id: nextProcessId++, command: cmd, cwd: spawnOptions.cwd, child, log: '', dropped: 0, cursor: 0, waiters: [], exited: false, exitCode: null, startedAt: new Date().toISOString() };
+        const spawnError = await new Promise((resolve) => {
+          child.once('spawn', () => resolve(null));
+          child.once('error', resolve);
+        });
+        if (spawnError) {
+          logLine(`ERROR start_process ${spawnError?.message || String(spawnError)}`);
+          return JSON.stringify({ error: spawnError?.message || String(spawnError) });
+        }
+        backgroundProcesses.set(proc.id, proc);
+        child.stdout.on('data', (d) => appendProcessLog(proc, d.toString()));
+        child.stderr.on('data', (d) => appendProcessLog(proc, d.toString()));
+        child.on('close', (code, signal) => {
+          proc.exited = true;
+          proc.exitCode = code ?? signal;
+          logLine(`EXIT process #${proc.id} code=${proc.exitCode}`);
+          for (const fn of proc.waiters.splice(0)) fn();
+        });
+        logStatus(`[Started background process #${proc.id} (pid ${child.pid}): ${cmd}]`);
+        const waitMs = Math.min(Math.max(Number(args?.waitMs ?? 1000) || 0, 0), 30000);
+        if (waitMs) await new Promise((resolve) => setTimeout(resolve, waitMs));
+        logLine(`RESULT start_process id=${proc.id} pid=${child.pid}`);
+        return JSON.stringify({ ...describeProcess(proc), ...takeProcessOutput(proc, DEFAULT_COMMAND_OUTPUT_CHARS) });
+      }
+      case 'read_process_output': {
+        const proc = backgroundProcesses.get(Number(args?.id));
+        if (!proc) return JSON.stringify({ error: `No background process with id ${args?.id}`, running: [...backgroundProcesses.keys()] });
+        const limit = Math.min(Math.max(Number(args?.maxOutputChars) || DEFAULT_COMMAND_OUTPUT_CHARS, 1000), 200000);
+        await waitForProcessOutput(proc, Math.min(Math.max(Number(args?.waitMs) || 0, 0), 30000));
+        const out = takeProcessOutput(proc, limit);
+        logStatus(`[Read ${out.output.length} character(s) from background process #${proc.id}${proc.exited ? ` (exited ${proc.exitCode})` : ''}]`);
+        logLine(`CALL read_process_output args=${JSON.stringify({ id: proc.id })}`);
+        return JSON.stringify({ ...describeProcess(proc), ...out });
+      }
+      case 'stop_process': {
+        const proc = backgroundProcesses.get(Number(args?.id));
+        if (!proc) return JSON.stringify({ error: `No background process with id ${args?.id}`, running: [...backgroundProcesses.keys()] });
+        logLine(`CALL stop_process args=${JSON.stringify({ id: proc.id })}`);
+        await stopProcess(proc);
+        logStatus(`[Stopped background process #${proc.id}]`);
+        return JSON.stringify({ ...describeProcess(proc), ...takeProcessOutput(proc, DEFAULT_COMMAND_OUTPUT_CHARS) });
+      }
+      case 'search_files': {
+        const q = String(args?.query || '').toLowerCase();
+        const max = Math.min(Math.max(Number(args?.maxResults) || 100, 1), 500);
+        const results = [];
+        walkWorkspace(getWorkspaceRoot(), (full) => {
+          const rel = path.relative(process.cwd(), full);
+          if (rel.toLowerCase().includes(q)) results.push(rel);
+          return results.length < max;
+        });
+        logStatus(`[Found ${results.length} file(s) matching "${q}"]`);
+        if (debugEnabled) logStatus(`[Tool call] search_files ${JSON.stringify({ query: q, maxResults: max })}`);
+        logLine(`CALL search_files args=${JSON.stringify({ query: q, maxResults: max })}`);
+        logLine(`RESULT search_files count=${results.length}`);
+        return JSON.stringify({ results });
+      }
+      case 'grep_files': {
+        const pattern = String(args?.pattern || '');
+        if (!pattern) return JSON.stringify({ error: 'pattern is required' });
+        const caseSensitive = args?.caseSensitive !== false;
+        let re;
+        try {
+          re = new RegExp(args?.regex ? pattern : escapeRegExp(pattern), caseSensitive ? '' : 'i');
+        } catch (e) {
+          return JSON.stringify({ error: `Invalid regex: ${e?.message || e}` });
+        }
+        const toList = (v) => (Array.isArray(v) ? v : (v ? [v] : [])).map(String);
+        const include = toList(args?.include);
+        const exclude = toList(args?.exclude);
+        const contextLines = Math.min(Math.max(Number(args?.contextLines) || 0, 0), 10);
+        const max = Math.min(Math.max(Number(args?.maxResults) || 100, 1), 1000);
+        const start = args?.path ? resolveWorkspacePath(args.path) : getWorkspaceRoot();
+        // One approval covers the search, the same way read_file asks for a path; deny rules for
+        // read_file or grep_files still keep single files out of the results
+        const ok = await requestPermission('grep_files', 'read', start, `ChatGPT would like to search file contents (read) under: ${start}`);
+        if (!ok) return JSON.stringify({ error: 'Permission denied.' });
+        const denyRules = PERMISSION_SCOPES.flatMap(loadPermissionRules).filter(r => r.action === 'deny');
+        const isDenied = (full) => denyRules.some(r => ruleMatches(r, 'grep_files', 'read', full) || ruleMatches(r, 'read_file', 'read', full));
+        const clip = (line) => (line.length > 300 ? line.slice(0, 300) + '…' : line);
+        const callArgs = { pattern, regex: !!args?.regex, caseSensitive, include, exclude, path: start, contextLines, maxResults: max };
+        if (debugEnabled) logStatus(`[Tool call] grep_files ${JSON.stringify(callArgs)}`);
+        logLine(`CALL grep_files args=${JSON.stringify(callArgs)}`);
+
+        const matches = [];
+        let filesSearched = 0;
+        let filesDenied = 0;
+        let truncated = false;
+        const searchFile = (full) => {
+          const rel = toPosix(path.relative(process.cwd(), full));
+          if (include.length && !matchesAnyGlob(include, rel)) return true;
+          if (exclude.length && matchesAnyGlob(exclude, rel)) return true;
+          if (isDenied(full)) {
+            filesDenied++;
+            return true;
+          }
+          const text = readTextForSearch(full);
+          if (text == null) return true;
+          filesSearched++;
+          const lines = text.split(/\r?\n/);
+          if (lines[lines.length - 1] === '') lines.pop();
+          for (let i = 0; i < lines.length; i++) {
+            const m = re.exec(lines[i]);
+            if (!m) continue;
+            const entry = { file: rel, line: i + 1, column: m.index + 1, text: clip(lines[i]) };
+            if (contextLines) {
+              entry.before = lines.slice(Math.max(0, i - contextLines), i).map(clip);
+              entry.after = lines.slice(i + 1, i + 1 + contextLines).map(clip);
+            }
+            matches.push(entry);
+            if (matches.length >= max) { truncated = true; return false; }
+          }
+          return true;
+        };
+        let isFile = false;
+        try { isFile = fs.statSync(start).isFile(); } catch (e) { return JSON.stringify({ error: e?.message || String(e), path: start }); }
+        if (isFile) searchFile(start);
+        else walkWorkspace(start, (full, isDir) => (isDir ? true : searchFile(full)));
+
+        const fileCount = new Set(matches.map(m => m.file)).size;
+        logStatus(`[Found ${matches.length} match(es) for "${pattern}" in ${fileCount} file(s)${truncated ? ' (truncated)' : ''}]`);
+        logLine(`RESULT grep_files matches=${matches.length} files=${fileCount} searched=${filesSearched} denied=${filesDenied} truncated=${truncated}`);
+        return JSON.stringify({ matches, filesSearched, ...(filesDenied ? { filesDenied } : {}), truncated });
+      }
+      case 'path_exists': {
+        const p = resolveWorkspacePath(args?.targetPath);
+        try {
+          const st = fs.statSync(p);
+          logStatus(`[Path exists: ${p} (${st.isDirectory() ? 'dir' : 'file'})]`);
+          if (debugEnabled) logStatus(`[Tool call] path_exists ${JSON.stringify({ targetPath: p })}`);
+          logLine(`CALL path_exists args=${JSON.stringify({ targetPath: p })}`);
+          return JSON.stringify({ exists: true, isDirectory: st.isDirectory(), isFile: st.isFile(), path: p });
+        } catch (_) {
+          logStatus(`[Path not found: ${p}]`);
+          logLine(`CALL path_exists args=${JSON.stringify({ targetPath: p })}`);
+          return JSON.stringify({ exists: false, path: p });
+        }
+      }
+      case 'read_dir': {
+        const p = resolveWorkspacePath(args?.dirPath);
+        try {
+          const items = fs.readdirSync(p, { withFileTypes: true }).map((d) => {
+            const o = { name: d.name };
+            if (args?.includeTypes) o.type = d.isDirectory() ? 'dir' : (d.isFile() ? 'file' : 'other');
+            return o;
+          });
+          logStatus(`[Listed directory: ${p} (${items.length} entries)]`);
+          if (debugEnabled) logStatus(`[Tool call] read_dir ${JSON.stringify({ dirPath: p, includeTypes: !!args?.includeTypes })}`);
+          logLine(`CALL read_dir args=${JSON.stringify({ dirPath: p, includeTypes: !!args?.includeTypes })}`);
+          logLine(`RESULT read_dir count=${items.length}`);
+          return JSON.stringify({ path: p, items });
+        } catch (e) {
+          return JSON.stringify({ error: e?.message || String(e), path: p });
+        }
+      }
+      case 'read_file': {
+        const p = resolveWorkspacePath(args?.filePath);
+        const ok = await requestPermission('read_file', 'read', p, `ChatGPT would like to access (read): ${p}`);
+        if (!ok) return JSON.stringify({ error: 'Permission denied.' });
+        if (debugEnabled) logStatus(`[Tool call] read_file ${JSON.stringify({ filePath: p, maxBytes: args?.maxBytes ?? undefined })}`);
+        logLine(`CALL read_file args=${JSON.stringify({ filePath: p, maxBytes: args?.maxBytes ?? undefined })}`);
+        try {
+          const max = Math.min(Math.max(Number(args?.maxBytes) || 200000, 1), 200000);
+          const fd = fs.openSync(p, 'r');
+          const buf = Buffer.allocUnsafe(max);
+          const bytes = fs.readSync(fd, buf, 0, max, 0);
+          fs.closeSync(fd);
+          const content = buf.slice(0, bytes).toString('utf8');
+          const total = fs.statSync(p).size;
+          logStatus(`[Read ${bytes}/${total} bytes from ${p}${total > bytes ? ' (truncated)' : ''}]`);
+          logLine(`RESULT read_file bytes=${bytes} total=${total}`);
+          return JSON.stringify({ path: p, content, truncated: total > bytes, bytesRead: bytes });
+        } catch (e) {
+          logLine(`ERROR read_file ${e?.message || String(e)}`);
+          return JSON.stringify({ error: e?.message || String(e), path: p });
+        }
+      }
+      case 'read_image': {
+        const p = resolveWorkspacePath(args?.filePath);
+        const ok = await requestPermission('read_image', 'read', p, `ChatGPT would like to access (read): ${p}`);
+        if (!ok) return JSON.stringify({ error: 'Permission denied.' });
+        if (debugEnabled) logStatus(`[Tool call] read_image ${JSON.stringify({ filePath: p })}`);
+        logLine(`CALL read_image args=${JSON.stringify({ filePath: p })}`);
+        try {
+          const part = loadImagePart(p);
+          // Tool results are text only, so the image follows in a user message once this batch of calls is done
+          pendingToolImages.push(part);
+          logStatus(`[Read image ${describeImage(part)}]`);
+          logLine(`RESULT read_image bytes=${part.bytes} sha256=${part.sha256}`);
+          return JSON.stringify({ path: p, ok: true, mimeType: part.mimeType, width: part.width, height: part.height, bytes: part.bytes, note: 'The image is attached to the next message.' });
+        } catch (e) {
+          logLine(`ERROR read_image ${e?.message || String(e)}`);
+          return JSON.stringify({ error: e?.message || String(e), path: p });
+        }
+      }
+      case 'write_file': {
+        const p = resolveWorkspacePath(args?.filePath);
+        if (debugEnabled) logStatus(`[Tool call] write_file ${JSON.stringify({ filePath: p, contentBytes: (args?.content || '').length })}`);
+        logLine(`CALL write_file args=${JSON.stringify({ filePath: p, contentBytes: (args?.content || '').length })}`);
+        try {
+          let before = '';
+          let existed = false;
+          try { before = fs.readFileSync(p, 'utf8'); existed = true; } catch(_) {}
+          const after = String(args?.content || '');
+          const decision = await confirmFileChanges('write_file', [{ path: p, before: existed ? before : null, after }], `ChatGPT would like to access (write): ${p}`);
+          if (!decision.proceed) return JSON.stringify({ error: 'Permission denied.', path: p });
+          snapshotFileBeforeWrite(p, existed ? before : null);
+          writeFileAtomic(p, after);
+          if (existed) {
+            const changed = countChangedLines(before, after);
+            logStatus(`[Changed ${changed} line(s) of text in ${p}]`);
+          } else {
+            logStatus(`[Created ${p} with ${countLines(after)} line(s)]`);
+          }
+          logLine(`RESULT write_file ok=true`);
+          return JSON.stringify({ path: p, ok: true });
+        } catch (e) {
+          logLine(`ERROR write_file ${e?.message || String(e)}`);
+          return JSON.stringify({ error: e?.message || String(e), path: p });
+        }
+      }
+      case 'patch_file': {
+        const p = resolveWorkspacePath(args?.filePath);
+        if (debugEnabled) logStatus(`[Tool call] patch_file ${JSON.stringify({ filePath: p, operations: Array.isArray(args?.operations) ? args.operations.length : 0 })}`);
+        logLine(`CALL patch_file args=${JSON.stringify({ filePath: p, operations: Array.isArray(args?.operations) ? args.operations.length : 0 })}`);
+        try {
+          if (!fs.existsSync(p)) return JSON.stringify({ error: 'File does not exist', path: p });
+          const original = fs.readFileSync(p, 'utf8');
+          const ops = Array.isArray(args?.operations) ? args.operations : [];
+          if (!ops.length) return JSON.stringify({ error: 'No operations provided', path: p });
+
+          const content = applyPatchOperations(original, ops);
+          const decision = await confirmFileChanges('patch_file', [{ path: p, before: original, after: content }], `ChatGPT would like to patch (write): ${p}`);
+          if (!decision.proceed) return JSON.stringify({ error: 'Permission denied.', path: p });
+          snapshotFileBeforeWrite(p, original);
+          writeFileAtomic(p, content);
+          const changed = countChangedLines(original, content);
+          logStatus(`[Changed ${changed} line(s) of text in ${p}]`);
+          logLine(`RESULT patch_file changedLines=${changed}`);
+          return JSON.stringify({ path: p, ok: true, changedLines: changed });
+        } catch (e) {
+          logLine(`ERROR patch_file ${e?.message || String(e)}`);
+          return JSON.stringify({ error: e?.message || String(e), path: p });
+        }
+      }
+      case 'edit_files': {
+        const edits = Array.isArray(args?.edits) ? args.edits : [];
+        if (!edits.length) return JSON.stringify({ error: 'No edits provided' });
+        const callArgs = { files: edits.map(e => e?.filePath), count: edits.length };
+        if (debugEnabled) logStatus(`[Tool call] edit_files ${JSON.stringify(callArgs)}`);
+        logLine(`CALL edit_files args=${JSON.stringify(callArgs)}`);
+
+        // Stage every edit in memory first; any invalid edit rejects the whole transaction
+        const changes = [];
+        for (const [i, e] of edits.entries()) {
+          const p = resolveWorkspacePath(e?.filePath);
+          const fail = (error) => JSON.stringify({ error: `Edit ${i + 1} (${p}): ${error}; no files were changed`, path: p });
+          if (changes.some(c => realpathLoose(c.path) === realpathLoose(p))) return fail('file is edited more than once, combine its edits');
+          let before = null;
+          try { before = fs.readFileSync(p, 'utf8'); } catch (_) {}
+          let after;
+          try {
+            if (e.delete) {
+              if (before === null) throw new Error('file does not exist');
+              after = null;
+            } else if (Array.isArray(e.operations)) {
+              if (before === null) throw new Error('file does not exist');
+              after = applyPatchOperations(before, e.operations);
+            } else if (typeof e.content === 'string') {
+              after = e.content;
+            } else {
+              throw new Error('needs content, operations or delete');
+            }
+          } catch (err) {
+            return fail(err?.message || String(err));
+          }
+          if (after !== before) changes.push({ path: p, before, after });
+        }
+        if (!changes.length) return JSON.stringify({ ok: true, files: [], changedLines: 0 });
+
+        const paths = changes.map(c => c.path);
+        const decision = await confirmFileChanges('edit_files', changes, `ChatGPT would like to edit (write): ${paths.join(', ')}`);
+        if (!decision.proceed) return JSON.stringify({ error: 'Permission denied; no files were changed.' });
+        commitFileChanges(changes);
+        reportFileChanges(changes);
+        logLine(`RESULT edit_files ok=true files=${changes.length} changedLines=${decision.changed}`);
+        const files = changes.map(c => ({ path: c.path, action: c.after === null ? 'delete' : (c.before === null ? 'create' : 'modify') }));
+        return JSON.stringify({ ok: true, files, changedLines: decision.changed });
+      }
+      case 'apply_patch': {
+        const fuzz = Math.min(Math.max(Math.floor(Number(args?.fuzz ?? 2)) || 0, 0), 3);
+        const parsed = parseUnifiedDiff(args?.patch);
+        if (!parsed.length) return JSON.stringify({ error: 'No ---/+++ file headers found in patch' });
+        const callArgs = { files: parsed.map(f => f.newPath ?? f.oldPath), hunks: parsed.reduce((n, f) => n + f.hunks.length, 0), fuzz };
+        if (debugEnabled) logStatus(`[Tool call] apply_patch ${JSON.stringify(callArgs)}`);
+        logLine(`CALL apply_patch args=${JSON.stringify(callArgs)}`);
+
+        // Work out every file's new content first so a failing hunk leaves the whole tree untouched
+        const files = [];
+        const changes = [];
+        for (const f of parsed) {
+          const action = f.oldPath === null ? 'create' : (f.newPath === null ? 'delete' : 'modify');
+          const p = resolveWorkspacePath(f.newPath ?? f.oldPath);
+          const existed = fs.existsSync(p);
+          let error = null;
+          if (!f.hunks.length) error = 'No hunks for this file';
+          else if (action === 'create' && existed) error = 'File already exists';
+          else if (action !== 'create' && !existed) error = 'File does not exist';
+          else if (changes.some(c => realpathLoose(c.path) === realpathLoose(p))) error = 'File appears more than once in the patch';
+          if (error) {
+            files.push({ path: p, action, ok: false, error });
+            continue;
+          }
+          const before = existed ? fs.readFileSync(p, 'utf8') : '';
+          const { content, results } = applyUnifiedHunks(before, f.hunks, fuzz);
+          const entry = { path: p, action, ok: results.every(r => r.ok), hunks: results };
+          if (entry.ok && action === 'delete' && content.trim()) {
+            entry.ok = false;
+            entry.error = 'Deletion patch does not remove the whole file';
+          }
+          files.push(entry);
+          changes.push({ path: p, before: action === 'create' ? null : before, after: action === 'delete' ? null : content });
+        }
+        const hunkResults = files.flatMap(f => f.hunks || []);
+        const failedHunks = hunkResults.filter(r => !r.ok).length;
+        if (files.some(f => !f.ok)) {
+          const error = `${failedHunks} of ${hunkResults.length} hunk(s) failed${files.some(f => f.error) ? ' (see file errors)' : ''}; no files were changed`;
+          logStatus(`[Patch rejected: ${error}]`);
+          logLine(`RESULT apply_patch ok=false failedHunks=${failedHunks}`);
+          return JSON.stringify({ ok: false, error, files });
+        }
+
+        const paths = changes.map(c => c.path);
+        const decision = await confirmFileChanges('apply_patch', changes, `ChatGPT would like to patch (write): ${paths.join(', ')}`);
+        if (!decision.proceed) return JSON.stringify({ error: 'Permission denied; no files were changed.', files });
+        commitFileChanges(changes);
+        reportFileChanges(changes);
+        logLine(`RESULT apply_patch ok=true files=${changes.length} hunks=${hunkResults.length}`);
+        return JSON.stringify({ ok: true, files, changedLines: decision.changed });
+      }
+      case 'manage_todo': {
+        const action = String(args?.action || '').toLowerCase();
+        if (action === 'create') {
+          const id = todoList.length ? Math.max(...todoList.map(t => t.id)) + 1 : 1;
+          const item = { id, title: String(args?.title || 'Untitled'), description: String(args?.description || ''), status: 'not-started' };
+          todoList.push(item);
+          if (todoList.length === 1) logStatus('[Created TODO List]');
+          logStatus('[Added 1 item to TODO List]');
+          await saveSession();
+          return JSON.stringify({ ok: true, item });
+        }
+        if (action === 'list') {
+          logStatus(`[TODO List: ${todoList.length} item(s)]`);
+          return JSON.stringify({ items: todoList });
+        }
+        if (action === 'update') {
+          const id = Number(args?.id);
+          const it = todoList.find(t => t.id === id);
+          if (!it) return JSON.stringify({ error: 'Not found' });
+          if (args?.title != null) it.title = String(args.title);
+          if (args?.description != null) it.description = String(args.description);
+          logStatus(`[Updated TODO item #${id}]`);
+          await saveSession();
+          return JSON.stringify({ ok: true, item: it });
+        }
+        if (action === 'complete') {
+          const id = Number(args?.id);
+          const it = todoList.find(t => t.id === id);
+          if (!it) return JSON.stringify({ error: 'Not found' });
+          it.status = 'completed';
+          logStatus('[Marked 1 TODO List item as completed]');
+          await saveSession();
+          return JSON.stringify({ ok: true, item: it });
+        }
+        if (action === 'delete') {
+          const id = Number(args?.id);
+          const idx = todoList.findIndex(t => t.id === id);
+          if (idx === -1) return JSON.stringify({ error: 'Not found' });
+          const [removed] = todoList.splice(idx, 1);
+          logStatus('[Deleted 1 TODO List item]');
+          await saveSession();
+          return JSON.stringify({ ok: true, removed });
+        }
+        return JSON.stringify({ error: 'Unsupported action' });
+      }
+      default: {
+        const custom = getCustomTools().get(toolName);
+        if (custom) return await runCustomTool(custom, args);
+        const mcp = findMcpTool(toolName);
+        if (mcp) return await runMcpTool(mcp.server, mcp.tool, args);
+        return JSON.stringify({ error: `Unknown tool: ${toolName}` });
+      }
+    }
+  } catch (e) {
+    return JSON.stringify({ error: e?.message || String(e) });
+  }
+}
+
+// Streamed chunks carry tool calls as fragments keyed by index; stitch them back together
+async function readCompletionStream(stream) {
+  let content = '';
+  let usage = null;
+  const toolCalls = [];
+  try {
+    for await (const part of stream) {
+      if (part.usage) usage = part.usage;
+      const delta = part.choices?.[0]?.delta || {};
+      if (delta.content) {
+        content += delta.content;
+        if (!options.quiet) process.stdout.write(delta.content);
+      }
+      for (const frag of delta.tool_calls || []) {
+        const idx = Number.isInteger(frag.index) ? frag.index : toolCalls.length;
+        const tc = toolCalls[idx] || (toolCalls[idx] = { id: '', type: 'function', function: { name: '', arguments: '' } });
+        if (frag.id) tc.id = frag.id;
+        if (frag.type) tc.type = frag.type;
+        if (frag.function?.name) tc.function.name += frag.function.name;
+        if (frag.function?.arguments) tc.function.arguments += frag.function.arguments;
+      }
+    }
+  } catch (err) {
+    if (content && !options.quiet) markPartialOutput(err);
+    throw err;
+  } finally {
+    // Finish the partial line even when cancelled mid-stream
+    if (content && !options.quiet) process.stdout.write('\n');
+  }
+  const calls = toolCalls.filter(Boolean);
+  return { role: 'assistant', content: content || null, tool_calls: calls.length ? calls : undefined, usage };
+}
+
+// Model APIs. Chat Completions is the default; the Responses API is used for OpenAI reasoning models or when
+// chosen with --api / config. Either way the reply comes back as a Chat Completions style assistant message,
+// so chatHistory and .gptp files look the same.
+function isReasoningModel(model = options.model) {
+  return /^(o\d|gpt-5)/.test(String(model)) && !/-chat/.test(String(model));
+}
+
+// A per-model setting: the flag (or /model), then config "models": { "<id>": { ... } }, the provider
+// profile, and the top-level config key
+function modelSetting(key, model = options.model) {
+  if (options[key]) return { value: options[key], source: settingSources[key] };
+  const cfg = readConfig();
+  if (cfg.models?.[model]?.[key] !== undefined) return { value: cfg.models[model][key], source: configSource(['models', model, key]) };
+  const profile = getProviderProfiles()[activeProvider];
+  if (profile?.[key] !== undefined) return { value: profile[key], source: configSource(['providers', activeProvider, key]) };
+  if (configValueValid(key, cfg[key]) && cfg[key] !== undefined) return { value: cfg[key], source: configSource([key]) };
+  return { value: undefined, source: 'default' };
+}
+
+function resolveApi(model = options.model) {
+  const { value } = modelSetting('api', model);
+  if (value === 'chat' || value === 'responses') return value;
+  return activeProvider === 'openai' && isReasoningModel(model) ? 'responses' : 'chat';
+}
+
+function chatCompletionsRequest({ messages, tools, responseFormat }) {
+  const reasoning = isReasoningModel();
+  const maxTokens = typeof options.maxTokens === 'number' && !Number.isNaN(options.maxTokens) ? options.maxTokens : undefined;
+  return {
+    model: options.model,
+    messages,
+    tools: tools?.length ? tools : undefined,
+    // Reasoning models only take the default temperature, and max_completion_tokens instead of max_tokens
+    temperature: !reasoning && typeof options.temperature === 'number' && !Number.isNaN(options.temperature) ? options.temperature : undefined,
+    [reasoning ? 'max_completion_tokens' : 'max_tokens']: maxTokens,
+    reasoning_effort: reasoning ? modelSetting('reasoningEffort').value : undefined,
+    response_format: responseFormat,
+  };
+}
+
+// Chat messages -> Responses input items: tool calls and results become function_call / function_call_output
+function toResponsesInput(messages) {
+  const input = [];
+  for (const m of messages) {
+    if (m.role === 'tool') {
+      input.push({ type: 'function_call_output', call_id: m.tool_call_id, output: String(m.content ?? '') });
+      continue;
+    }
+    const content = Array.isArray(m.content)
+      ? m.content.map(p => (p.type === 'image_url'
+        ? { type: 'input_image', image_url: p.image_url.url, detail: 'auto' }
+        : { type: m.role === 'assistant' ? 'output_text' : 'input_text', text: p.text }))
+      : m.content;
+    if (content != null && content !== '') input.push({ role: m.role, content });
+    for (const tc of m.tool_calls || []) {
+      input.push({ type: 'function_call', call_id: tc.id, name: tc.function?.name, arguments: tc.function?.arguments || '{}' });
+    }
+  }
+  return input;
+}
+
+function responsesRequest({ messages, tools, responseFormat }) {
+  const reasoning = isReasoningModel();
+  const effort = modelSetting('reasoningEffort').value;
+  const summary = modelSetting('reasoningSummary').value;
+  let text;
+  if (responseFormat?.type === 'json_schema') {
+    const { name, schema, strict } = responseFormat.json_schema;
+    text = { format: { type: 'json_schema', name, schema, strict } };
+  } else if (responseFormat) {
+    text = { format: { type: responseFormat.type } };
+  }
+  return {
+    model: options.model,
+    input: toResponsesInput(messages),
+    tools: tools?.length
+      ? tools.map(t => ({ type: 'function', name: t.function.name, description: t.function.description, parameters: t.function.parameters, strict: false }))
+      : undefined,
+    temperature: !reasoning && typeof options.temperature === 'number' && !Number.isNaN(options.temperature) ? options.temperature : undefined,
+    max_output_tokens: typeof options.maxTokens === 'number' && !Number.isNaN(options.maxTokens) ? options.maxTokens : undefined,
+    reasoning: reasoning && (effort || summary) ? { effort, summary } : undefined,
+    text,
+    // chatHistory is the source of truth; nothing is kept server-side
+    store: false,
+  };
+}
+
+// Responses output items -> assistant message; usage is renamed to the Chat Completions fields recordUsage reads
+function fromResponse(response) {
+  if (response?.error) throw new Error(response.error.message || 'The response failed');
+  let content = '';
+  const toolCalls = [];
+  const reasoning = [];
+  for (const item of response?.output || []) {
+    if (item.type === 'message') {
+      content += (item.content || []).filter(c => c.type === 'output_text').map(c => c.text).join('');
+    } else if (item.type === 'function_call') {
+      toolCalls.push({ id: item.call_id, type: 'function', function: { name: item.name, arguments: item.arguments || '{}' } });
+    } else if (item.type === 'reasoning') {
+      reasoning.push(...(item.summary || []).map(part => part.text).filter(Boolean));
+    }
+  }
+  if (response?.status === 'incomplete') {
+    logStatus(`[Response incomplete: ${response.incomplete_details?.reason || 'unknown reason'}]`);
+  }
+  const u = response?.usage;
+  return {
+    role: 'assistant',
+    content: content || null,
+    tool_calls: toolCalls.length ? toolCalls : undefined,
+    reasoning,
+    usage: u ? { prompt_tokens: u.input_tokens, completion_tokens: u.output_tokens, prompt_tokens_details: { cached_tokens: u.input_tokens_details?.cached_tokens || 0 } } : null,
+  };
+}
+
+function printReasoning(parts) {
+  if (options.quiet) return;
+  for (const text of parts || []) logStatus(`\x1b[2m[Reasoning] ${text}\x1b[0m`);
+}
+
+// Output text and reasoning summaries are printed as they arrive; the completed response carries the rest
+async function readResponsesStream(stream) {
+  let final = null;
+  let printed = false;
+  let reasoningOpen = false;
+  let written = false;
+  const write = (text) => {
+    if (options.quiet) return;
+    process.stdout.write(text);
+    written = true;
+  };
+  try {
+    for await (const event of stream) {
+      if (event.type === 'response.reasoning_summary_text.delta') {
+        if (!reasoningOpen) write('\x1b[2m[Reasoning] ');
+        reasoningOpen = true;
+        write(event.delta);
+      } else if (event.type === 'response.reasoning_summary_text.done' && reasoningOpen) {
+        write('\x1b[0m\n');
+        reasoningOpen = false;
+      } else if (event.type === 'response.output_text.delta') {
+        write(event.delta);
+        printed = true;
+      } else if (event.type === 'response.completed' || event.type === 'response.incomplete') {
+        final = event.response;
+      } else if (event.type === 'response.failed') {
+        throw new Error(event.response?.error?.message || 'The response failed');
+      } else if (event.type === 'error') {
+        throw new Error(event.message || 'The response stream failed');
+      }
+    }
+  } catch (err) {
+    if (written) markPartialOutput(err);
+    throw err;
+  } finally {
+    if (reasoningOpen) write('\x1b[0m\n');
+    if (printed) write('\n');
+  }
+  if (!final) throw new Error('The response stream ended before the response was complete');
+  return { ...fromResponse(final), reasoning: [] };
+}
+
+// A stream that fails after printing part of the reply is not retried: the retry would print it again
+function markPartialOutput(err) {
+  if (err && typeof err === 'object') err.partialOutput = true;
+}
+
+// One model call through the selected API; returns an assistant message plus its usage
+async function requestModelReplyOnce({ messages, tools, responseFormat, stream }, requestOptions) {
+  if (resolveApi() === 'responses') {
+    const request = responsesRequest({ messages, tools, responseFormat });
+    if (stream) return await readResponsesStream(await client.responses.create({ ...request, stream: true }, requestOptions));
+    return fromResponse(await client.responses.create(request, requestOptions));
+  }
+  const request = chatCompletionsRequest({ messages, tools, responseFormat });
+  if (stream) {
+    // Text is printed as it arrives; tool calls are assembled from the deltas
+    return await readCompletionStream(await client.chat.completions.create({ ...request, stream: true, stream_options: { include_usage: true } }, requestOptions));
+  }
+  const completion = await client.chat.completions.create(request, requestOptions);
+  return { ...(completion.choices?.[0]?.message || {}), usage: completion.usage };
+}
+
+const isAbortError = (err) => err instanceof OpenAI.APIUserAbortError || err?.name === 'AbortError' || /aborted|abort/i.test(err?.message || '');
+
+// A socket that closes mid-response (usually mid-stream) surfaces as undici's "TypeError: terminated" or a
+// raw socket error, with no status
+const SOCKET_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'EPIPE', 'ETIMEDOUT', 'EAI_AGAIN', 'UND_ERR_SOCKET', 'UND_ERR_CLOSED'];
+function isConnectionDrop(err) {
+  if (typeof err?.status === 'number') return false;
+  if (SOCKET_ERROR_CODES.includes(err?.code) || SOCKET_ERROR_CODES.includes(err?.cause?.code)) return true;
+  return err instanceof TypeError && err.message === 'terminated';
+}
+
+// Sort a failed request into a class with an exit code, whether it is worth retrying, and what to tell the user
+function classifyApiError(err) {
+  const status = typeof err?.status === 'number' ? err.status : null;
+  const code = String(err?.code || err?.error?.code || err?.error?.type || '');
+  const detail = err?.error?.message || err?.message || String(err);
+  const result = (kind, message, retryable = false, label = null) => ({ kind, exitCode: EXIT_CODES[kind], retryable, label, message });
+
+  if (isAbortError(err)) return result('error', 'Request cancelled');
+  if (err instanceof OpenAI.APIConnectionError) {
+    const what = err instanceof OpenAI.APIConnectionTimeoutError ? 'timed out' : 'failed';
+    return result('network', `Connection to ${client?.baseURL || 'the API'} ${what}: ${detail}`, true, 'Network error');
+  }
+  if (isConnectionDrop(err)) {
+    return result('network', `Connection to ${client?.baseURL || 'the API'} dropped: ${err?.cause?.message || detail}`, true, 'Network error');
+  }
+  if (status === null) return result('error', detail);
+  if (status === 401 || status === 403) {
+    const keyEnv = getProviderProfiles()[activeProvider]?.apiKeyEnv;
+    const fix = keyEnv ? `Check that $${keyEnv} holds a valid key for this provider` : `Check the provider's apiKeyEnv and headers in ${getConfigPath()}`;
+    return result('auth', `Authentication failed for provider "${activeProvider}" (${status}): ${detail}\n${fix}.`);
+  }
+  if (status === 429 && /insufficient_quota|billing/i.test(code)) {
+    return result('quota', `Quota exceeded for provider "${activeProvider}": ${detail}\nCheck the plan and billing details of the account, or switch with --provider.`);
+  }
+  if (status === 429) return result('rateLimit', `Rate limited by provider "${activeProvider}": ${detail}`, true, 'Rate limited (429)');
+  if (status === 413 || code === 'context_length_exceeded' || /context length|context window|maximum context|too many tokens/i.test(detail)) {
+    return result('contextLength', `The conversation is too long for ${options.model}: ${detail}\n`
+      + `Use /compact or /clear, or set contextLimits.${options.model} so older messages are summarized sooner.`);
+  }
+  if (status === 404 && (code === 'model_not_found' || /model/i.test(detail))) {
+    return result('model', `Model "${options.model}" is not available from provider "${activeProvider}": ${detail}\n`
+      + 'Pick another with --model or /model set <id>.');
+  }
+  if (status === 408 || status === 409 || status >= 500) return result('server', `The API returned ${status}: ${detail}`, true, `Server error (${status})`);
+  return result('badRequest', `The API rejected the request (${status}): ${detail}`);
+}
+
+// Print a failure the way classifyApiError describes it; returns the class (and its exit code)
+function reportError(err) {
+  const info = classifyApiError(err);
+  console.error('Error:', info.message);
+  logLine(`ERROR kind=${info.kind} status=${err?.status ?? '-'}`);
+  return info;
+}
+
+// Retry-After may be seconds or an HTTP date; retry-after-ms is OpenAI's own, more precise header
+function retryAfterMs(err) {
+  const get = (name) => (typeof err?.headers?.get === 'function' ? err.headers.get(name) : err?.headers?.[name]);
+  const ms = parseFloat(get('retry-after-ms'));
+  if (Number.isFinite(ms) && ms >= 0) return ms;
+  const value = get('retry-after');
+  if (!value) return null;
+  const seconds = parseFloat(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isFinite(date) ? Math.max(0, date - Date.now()) : null;
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(new OpenAI.APIUserAbortError());
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new OpenAI.APIUserAbortError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// requestModelReplyOnce with retries for rate limits, server and network errors: exponential backoff
+// with jitter, or the server's Retry-After when it sends one
+async function requestModelReply(request, requestOptions) {
+  const retries = Number.isInteger(options.retries) && options.retries >= 0 ? options.retries : 3;
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await requestModelReplyOnce(request, requestOptions);
+    } catch (err) {
+      const info = classifyApiError(err);
+      if (!info.retryable || attempt >= retries) throw err;
+      if (err?.partialOutput) {
+        logStatus(`[${info.label} after part of the reply was printed; not retrying]`);
+        logLine(`RETRY_SKIPPED kind=${info.kind} status=${err?.status ?? '-'} reason=partial-output`);
+        throw err;
+      }
+      const backoff = Math.min(30000, 1000 * 2 ** attempt) * (0.75 + Math.random() * 0.5);
+      const delay = Math.min(60000, retryAfterMs(err) ?? backoff);
+      logStatus(`[${info.label}; retrying in ${(delay / 1000).toFixed(1)}s (retry ${attempt + 1} of ${retries})]`);
+      logLine(`RETRY kind=${info.kind} status=${err?.status ?? '-'} attempt=${attempt + 1} delay=${Math.round(delay)}ms`);
+      await sleep(delay, requestOptions?.signal);
+    }
+  }
+}
+
+async function runModelWithTools() {
+  // Note: caller may attach an AbortController through arguments via binding/closure
+  const controller = runModelWithTools._controller;
+  turnToolDefinitions = getToolDefinitions();
+  try {
+    return await runToolLoop(controller);
+  } finally {
+    turnToolDefinitions = null;
+  }
+}
+
+async function runToolLoop(controller) {
+  // disable streaming when dev mode to allow clean output, and under --json where the reply is checked first
+  const streamingEnabled = options.stream && !options.dev && !structuredOutput;
+  for (let step = 0; step < 20; step++) {
+    if (budgetExceeded()) {
+      logStatus(`[Budget of ${formatCost(options.budget)} reached (${formatCost(runUsage.cost)} spent); stopping]`);
+      logLine(`BUDGET_STOP budget=${options.budget} spent=${runUsage.cost}`);
+      await saveSession();
+      return 'budget';
+    }
+    await ensureContextFits(controller);
+    const requestOptions = controller ? { signal: controller.signal } : undefined;
+    const msg = await requestModelReply({
+      messages: toChatMessages(),
+      tools: getToolDefinitions(),
+      responseFormat: structuredOutput?.responseFormat,
+      stream: streamingEnabled,
+    }, requestOptions);
+    recordUsage(msg.usage);
+    printReasoning(msg.reasoning);
+    const toolCalls = msg.tool_calls || [];
+
+    if (toolCalls.length > 0) {
+      if (debugEnabled) {
+        for (const tc of toolCalls) {
+          logStatus(`[Model requested tool] ${tc.function?.name} ${tc.function?.arguments || ''}`);
+        }
+      }
+      for (const tc of toolCalls) {
+        // Record assistant tool call message
+        chatHistory.push({ role: 'assistant', content: msg.content || null, tool_calls: [tc] });
+        logLine(`TOOL_REQUEST name=${tc.function?.name} args=${tc.function?.arguments || ''}`);
+        let args = {};
+        try { args = JSON.parse(tc.function?.arguments || '{}'); } catch(_) { args = {}; }
+        const toolName = tc.function?.name;
+        const before = await runHooks('beforeTool', { tool: toolName, args });
+        let result;
+        let messages = before.messages;
+        if (before.blocked) {
+          logStatus(`[Hook blocked ${toolName}: ${before.reason}]`);
+          result = JSON.stringify({ error: `Blocked by hook: ${before.reason}` });
+        } else {
+          result = await runLocalTool(toolName, args);
+          const after = await runHooks('afterTool', { tool: toolName, args, result });
+          messages = messages.concat(after.messages);
+        }
+        chatHistory.push({ role: 'tool', tool_call_id: tc.id, content: withHookMessages(result, before.blocked ? [] : messages) });
+      }
+      if (pendingToolImages.length) {
+        const names = pendingToolImages.map(p => p.path).join(', ');
+        chatHistory.push({ role: 'user', content: [{ type: 'text', text: `[Images from read_image: ${names}]` }, ...pendingToolImages], toolImages: true });
+        pendingToolImages = [];
+      }
+      continue; // Ask the model again with tool outputs
+    }
+
+    // Final assistant message (no tool calls)
+    let reply = (msg.content || '').trim();
+
+    // If dev mode, strip code fences for script-friendly output
+    if (options.dev) {
+      reply = reply
+        .replace(/^```[a-zA-Z0-9_-]*\s*\n?/, '')
+        .replace(/\n?```$/, '');
+    }
+
+    if (!options.quiet && reply && !streamingEnabled && !structuredOutput) console.log(reply);
+    chatHistory.push({ role: 'assistant', content: reply });
+    const afterReply = await runHooks('afterReply', { reply });
+    if (afterReply.messages.length) {
+      // Seen by the model on the next turn; a tagged user message, so it never passes for the system prompt
+      const note = afterReply.messages.join('\n');
+      logStatus(`[Hook] ${note}`);
+      chatHistory.push({ role: 'user', content: `[Hook afterReply] ${note}`, hookNote: true });
+    }
+    await saveSession();
+    if (options.out && !structuredOutput) fs.writeFileSync(options.out, reply);
+    break;
+  }
+}
+
+// Local JSON Schema check for --schema. Covers the common keywords (type, enum/const, object,
+// array, string and number constraints, allOf/anyOf/oneOf/not, local $ref); "format" is not checked.
+function jsonTypeOf(v) {
+  if (v === null) return 'null';
+  if (Array.isArray(v)) return 'array';
+  if (typeof v === 'number') return Number.isInteger(v) ? 'integer' : 'number';
+  return typeof v;
+}
+
+function jsonEqual(a, b) {
+  if (a === b) return true;
+  if (jsonTypeOf(a) !== jsonTypeOf(b) || typeof a !== 'object' || a === null) return false;
+  if (Array.isArray(a)) return a.length === b.length && a.every((v, i) => jsonEqual(v, b[i]));
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every(k => k in b && jsonEqual(a[k], b[k]));
+}
+
+function resolveSchemaRef(root, ref) {
+  if (!ref.startsWith('#')) return undefined;
+  return ref.slice(1).split('/').filter(Boolean)
+    .map(p => decodeURIComponent(p).replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce((node, p) => (node && typeof node === 'object' ? node[p] : undefined), root);
+}
+
+function validateJsonSchema(value, schema, root = schema, at = '$', errors = []) {
+  if (schema === false) {
+    errors.push(`${at}: no value is allowed here`);
+    return errors;
+  }
+  if (!isPlainObject(schema)) return errors;
+  if (typeof schema.$ref === 'string') {
+    const target = resolveSchemaRef(root, schema.$ref);
+    if (target === undefined) errors.push(`${at}: cannot resolve $ref ${schema.$ref}`);
+    else validateJsonSchema(value, target, root, at, errors);
+  }
+  const type = jsonTypeOf(value);
+  if (schema.type !== undefined) {
+    const types = [].concat(schema.type);
+    if (!types.some(t => t === type || (t === 'number' && type === 'integer'))) {
+      errors.push(`${at}: expected ${types.join(' or ')}, got ${type}`);
+      return errors;
+    }
+  }
+  if (Array.isArray(schema.enum) && !schema.enum.some(e => jsonEqual(e, value))) {
+    errors.push(`${at}: must be one of ${JSON.stringify(schema.enum)}`);
+  }
+  if ('const' in schema && !jsonEqual(schema.const, value)) errors.push(`${at}: must be ${JSON.stringify(schema.const)}`);
+
+  if (type === 'string') {
+    const length = [...value].length;
+    if (schema.minLength !== undefined && length < schema.minLength) errors.push(`${at}: must be at least ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && length > schema.maxLength) errors.push(`${at}: must be at most ${schema.maxLength} characters`);
+    if (typeof schema.pattern === 'string') {
+      let re = null;
+      try { re = new RegExp(schema.pattern, 'u'); } catch (_) {}
+      if (re && !re.test(value)) errors.push(`${at}: must match /${schema.pattern}/`);
+    }
+  }
+  if (type === 'number' || type === 'integer') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at}: must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at}: must be <= ${schema.maximum}`);
+    if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) errors.push(`${at}: must be > ${schema.exclusiveMinimum}`);
+    if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) errors.push(`${at}: must be < ${schema.exclusiveMaximum}`);
+    if (schema.multipleOf > 0 && Math.abs(value / schema.multipleOf - Math.round(value / schema.multipleOf)) > 1e-9) {
+      errors.push(`${at}: must be a multiple of ${schema.multipleOf}`);
+    }
+  }
+  if (type === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${at}: must have at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${at}: must have at most ${schema.maxItems} items`);
+    if (schema.uniqueItems && value.some((v, i) => value.findIndex(w => jsonEqual(v, w)) !== i)) errors.push(`${at}: items must be unique`);
+    const prefix = Array.isArray(schema.prefixItems) ? schema.prefixItems : [];
+    value.forEach((item, i) => {
+      const itemSchema = i < prefix.length ? prefix[i] : schema.items;
+      if (itemSchema !== undefined) validateJsonSchema(item, itemSchema, root, `${at}[${i}]`, errors);
+    });
+    if (schema.contains !== undefined && !value.some(item => !validateJsonSchema(item, schema.contains, root).length)) {
+      errors.push(`${at}: must contain an item matching "contains"`);
+    }
+  }
+  if (type === 'object') {
+    const keys = Object.keys(value);
+    const props = isPlainObject(schema.properties) ? schema.properties : {};
+    const keyPath = (k) => (/^[A-Za-z_$][\w$]*$/.test(k) ? `${at}.${k}` : `${at}[${JSON.stringify(k)}]`);
+    for (const k of Array.isArray(schema.required) ? schema.required : []) {
+      if (!(k in value)) errors.push(`${at}: missing required property "${k}"`);
+    }
+    if (schema.minProperties !== undefined && keys.length < schema.minProperties) errors.push(`${at}: must have at least ${schema.minProperties} properties`);
+    if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) errors.push(`${at}: must have at most ${schema.maxProperties} properties`);
+    const patterns = Object.entries(isPlainObject(schema.patternProperties) ? schema.patternProperties : {})
+      .map(([re, sub]) => { try { return [new RegExp(re, 'u'), sub]; } catch (_) { return null; } })
+      .filter(Boolean);
+    for (const k of keys) {
+      let matched = false;
+      if (k in props) {
+        matched = true;
+        validateJsonSchema(value[k], props[k], root, keyPath(k), errors);
+      }
+      for (const [re, sub] of patterns) {
+        if (!re.test(k)) continue;
+        matched = true;
+        validateJsonSchema(value[k], sub, root, keyPath(k), errors);
+      }
+      if (!matched && schema.additionalProperties !== undefined) {
+        if (schema.additionalProperties === false) errors.push(`${at}: unexpected property "${k}"`);
+        else validateJsonSchema(value[k], schema.additionalProperties, root, keyPath(k), errors);
+      }
+    }
+  }
+
+  for (const sub of Array.isArray(schema.allOf) ? schema.allOf : []) validateJsonSchema(value, sub, root, at, errors);
+  if (Array.isArray(schema.anyOf) && !schema.anyOf.some(sub => !validateJsonSchema(value, sub, root, at).length)) {
+    errors.push(`${at}: must match at least one schema in anyOf`);
+  }
+  if (Array.isArray(schema.oneOf)) {
+    const matches = schema.oneOf.filter(sub => !validateJsonSchema(value, sub, root, at).length).length;
+    if (matches !== 1) errors.push(`${at}: must match exactly one schema in oneOf (matched ${matches})`);
+  }
+  if (schema.not !== undefined && !validateJsonSchema(value, schema.not, root, at).length) errors.push(`${at}: must not match "not"`);
+  return errors;
+}
+
+function lastReply() {
+  return chatHistory.findLast(m => m.role === 'assistant' && !m.tool_calls)?.content || '';
+}
+
+// Parse the final reply (tolerating a Markdown fence around it) and check it against the schema
+function checkStructuredReply(text) {
+  const body = String(text || '').trim().replace(/^```[a-zA-Z0-9_-]*\s*\n?/, '').replace(/\n?```$/, '').trim();
+  if (!body) return { errors: ['the reply is empty'] };
+  let value;
+  try {
+    value = JSON.parse(body);
+  } catch (e) {
+    return { errors: [`the reply is not valid JSON: ${e.message}`] };
+  }
+  return { value, errors: structuredOutput.schema ? validateJsonSchema(value, structuredOutput.schema) : [] };
+}
+
+// Print the checked JSON, or feed the errors back and ask again up to --json-retries times
+async function finishStructuredOutput() {
+  for (let attempt = 0; ; attempt++) {
+    const { value, errors } = checkStructuredReply(lastReply());
+    if (!errors.length) {
+      const text = JSON.stringify(value, null, 2) + '\n';
+      if (!options.quiet) process.stdout.write(text);
+      if (options.out) fs.writeFileSync(options.out, text);
+      return;
+    }
+    const shown = errors.slice(0, 20).concat(errors.length > 20 ? [`... and ${errors.length - 20} more`] : []);
+    if (attempt >= options.jsonRetries) {
+      console.error(`Error: the reply failed validation after ${attempt + 1} attempt(s):`);
+      for (const e of shown) console.error(`  ${e}`);
+      logLine(`JSON_INVALID attempts=${attempt + 1} errors=${errors.length}`);
+      process.exitCode = EXIT_CODES.invalidOutput;
+      return;
+    }
+    logStatus(`[Reply failed validation (${errors.length} error(s)); asking again, retry ${attempt + 1} of ${options.jsonRetries}]`);
+    chatHistory.push({
+      role: 'user',
+      content: `Your reply was rejected:\n${shown.map(e => `- ${e}`).join('\n')}\nReply again with only the corrected JSON.`
+    });
+    if (await runModelWithTools() === 'budget') {
+      process.exitCode = 1;
+      return;
+    }
+  }
+}
+
+async function chatOnce(userInput) {
+  if (options.role && !chatHistory.some(m => m.role === 'system')) {
+    chatHistory.push({ role: 'system', content: options.role });
+  }
+
+  // Add the prompt to chat history
+  if (!await submitPrompt(userInput)) {
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    // Same tool loop as the REPL; approvals come from the policy flags or a TTY prompt
+    const stopped = await runModelWithTools();
+    if (stopped === 'budget') process.exitCode = 1;
+    else if (structuredOutput) await finishStructuredOutput();
+    else if (options.extract && !await extractCodeBlocks(lastReply(), options.extract)) process.exitCode = 1;
+  } catch (err) {
+    process.exitCode = reportError(err).exitCode;
+  }
+  await stopAllProcesses();
+  stopMcpServers();
+}
+
+async function startInteractive() {
+  if (options.role) {
+    // Ensure the system prompt is present once at the start of the session
+    chatHistory.push({ role: 'system', content: options.role });
+  }
+
+  function pathCompleter(fragment) {
+    try {
+      const base = fragment.endsWith('/') ? fragment : path.dirname(fragment);
+      const dir = base === '.' || base === '' || base === '/' ? process.cwd() : path.resolve(process.cwd(), base);
+      const prefix = fragment.endsWith('/') ? '' : path.basename(fragment);
+      const entries = fs.readdirSync(dir, { withFileTypes: true }).map(e => e.name + (e.isDirectory() ? '/' : ''));
+      return entries
+        .filter(name => name.toLowerCase().startsWith(prefix.toLowerCase()))
+        .map(name => (base && base !== '.' && base !== '/' ? path.join(base, name) : name));
+    } catch (_) {
+      return [];
+    }
   }
 
   function completer(line) {
     const commands = [
-      '/help','/exit','/save','/todo','/perms','/log','/debug','/model','/retry','/edit','/reset','/restart','/clear','/diff'
+      '/help','/exit','/save','/todo','/perms','/log','/debug','/model','/retry','/edit','/reset','/restart','/clear','/diff',
+      '/undo','/checkpoints','/restore','/provider','/compact','/usage',
+      '/sessions','/load','/fork','/rename','/delete','/export','/ps','/kill','/mcp','/config','/extract','/image'
     ];
     const todoSubs = ['list','add','update','complete','delete'];
-    const permsSubs = ['list','clear'];
+    const permsSubs = ['list','add','remove','explain','clear'];
     const logSubs = ['on','off','set'];
     const debugSubs = ['on','off'];
-    const modelSubs = ['set','temp','maxtokens','systemmsg','systemclear'];
+    const modelSubs = ['set','temp','maxtokens','api','effort','systemmsg','systemclear'];
     const diffSubs = ['on','off','threshold','maxlines'];
+    const configSubs = ['list','get','set','unset','keys'];
 
     // File path completions for /save and /log set
     if (line.startsWith('/save ')) {
@@ -289,7 +4369,26 @@ async function startInteractive() {
       const hits = pathCompleter(frag);
       return [hits.length ? hits : [], line];
     }
+    if (line.startsWith('/image ')) {
+      return [pathCompleter(line.slice(7)).map(h => `/image ${h}`), line];
+    }
+    if (line.startsWith('/extract ')) {
+      const hits = pathCompleter(line.slice(9)).filter(h => h.endsWith('/'));
+      return [hits.map(h => `/extract ${h}`), line];
+    }
 
+    for (const cmd of ['/load ', '/delete ']) {
+      if (line.startsWith(cmd)) {
+        const after = line.slice(cmd.length);
+        const hits = listSessions().map(s => s.name).filter(n => n.startsWith(after));
+        return [hits.length ? hits.map(h => `${cmd}${h}`) : [], line];
+      }
+    }
+    if (line.startsWith('/provider ')) {
+      const after = line.slice(10);
+      const hits = Object.keys(getProviderProfiles()).filter(s => s.startsWith(after));
+      return [hits.length ? hits.map(h => `/provider ${h}`) : [], line];
+    }
     if (line.startsWith('/todo ')) {
       const after = line.slice(6);
       const hits = todoSubs.filter(s => s.startsWith(after));
@@ -312,581 +4411,46 @@ async function startInteractive() {
     }
     if (line.startsWith('/model ')) {
       const after = line.slice(7);
-      const hits = modelSubs.filter(s => s.startsWith(after));
-      return [hits.length ? hits.map(h => `/model ${h}`) : [], line];
-    }
-    if (line.startsWith('/diff ')) {
-      const after = line.slice(6);
-      const hits = diffSubs.filter(s => s.startsWith(after));
-      return [hits.length ? hits.map(h => `/diff ${h}`) : [], line];
-    }
-
-    const hits = commands.filter(c => c.startsWith(line));
-    return [hits.length ? hits : [], line];
-  }
-
-  const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true, completer });
-  const ask = (q) => new Promise((resolve) => rl.question(q, resolve));
-  console.log('Interactive mode. Type /help for commands.');
-  console.log(`Session file: ${sessionFile || 'N/A'}`);
-
-  // Lazy-load diff library for preview; disable preview if unavailable
-  let createTwoFilesPatchFn = null;
-  try {
-    const mod = await import('diff');
-    createTwoFilesPatchFn = mod.createTwoFilesPatch;
-  } catch (_) {
-    // Best-effort: if missing, keep running without preview
-    diffPreview.enabled = false;
-  }
-
-  // Define tool specifications for function calling
-  const toolDefinitions = [
-    {
-      type: 'function',
-      function: {
-        name: 'run_command',
-        description: 'Run a shell command in the project directory and return stdout/stderr/exitCode. Note: This is non-interactive; commands/scripts that require additional user input (prompts) will not work.',
-        parameters: {
-          type: 'object',
-          properties: {
-            command: { type: 'string', description: 'The bash command to execute.' },
-            timeoutMs: { type: 'number', description: 'Optional timeout in milliseconds.', minimum: 100, maximum: 600000 }
-          },
-          required: ['command']
-        }
-      }
-    },
-    {
-      type: 'function',
-      function: {
-        name: 'search_files',
-        description: 'Search for files by name substring within the current workspace directory.',
-        parameters: {
-          type: 'object',
-          properties: {
-            query: { type: 'string', description: 'Case-insensitive substring to match in file paths.' },
-            maxResults: { type: 'number', description: 'Maximum number of results to return.', minimum: 1, maximum: 500 }
-          },
-          required: ['query']
-        }
-      }
-    },
-    {
-      type: 'function',
-      function: {
-        name: 'path_exists',
-        description: 'Check if a file or directory exists and whether it is a directory.',
-        parameters: {
-          type: 'object',
-          properties: {
-            targetPath: { type: 'string', description: 'Path to check, relative or absolute.' }
-          },
-          required: ['targetPath']
-        }
-      }
-    },
-    {
-      type: 'function',
-      function: {
-        name: 'read_dir',
-        description: 'Get the immediate contents of a directory.',
-        parameters: {
-          type: 'object',
-          properties: {
-            dirPath: { type: 'string', description: 'Directory path.' },
-            includeTypes: { type: 'boolean', description: 'Include entry types (file/dir).' }
-          },
-          required: ['dirPath']
-        }
-      }
-    },
-    {
-      type: 'function',
-      function: {
-        name: 'read_file',
-        description: 'Read a text file and return its contents (truncated to 200KB).',
-        parameters: {
-          type: 'object',
-          properties: {
-            filePath: { type: 'string', description: 'Path to the file.' },
-            maxBytes: { type: 'number', description: 'Optional max bytes to read (<= 200000).' }
-          },
-          required: ['filePath']
-        }
-      }
-    },
-    {
-      type: 'function',
-      function: {
-        name: 'write_file',
-        description: 'Create or overwrite a text file with provided content.',
-        parameters: {
-          type: 'object',
-          properties: {
-            filePath: { type: 'string', description: 'Path to the file to write.' },
-            content: { type: 'string', description: 'Full file content to write.' }
-          },
-          required: ['filePath', 'content']
-        }
-      }
-    },
-    {
-      type: 'function',
-      function: {
-        name: 'patch_file',
-        description: 'Apply structured text edits to a file (line or regex based). Operations: replace_range, insert_at, replace_regex, append, prepend.',
-        parameters: {
-          type: 'object',
-          properties: {
-            filePath: { type: 'string', description: 'Path to the file to modify.' },
-            operations: {
-              type: 'array',
-              description: 'Ordered list of patch operations to apply.',
-              items: {
-                type: 'object',
-                properties: {
-                  op: { type: 'string', enum: ['replace_range', 'insert_at', 'replace_regex', 'append', 'prepend'] },
-                  // replace_range
-                  startLine: { type: 'number', description: '1-based start line for replace_range.' },
-                  endLine: { type: 'number', description: '1-based end line (inclusive) for replace_range.' },
-                  newContent: { type: 'string', description: 'New content for replace/insert/append/prepend.' },
-                  // insert_at
-                  line: { type: 'number', description: '1-based line for insert_at.' },
-                  position: { type: 'string', enum: ['before', 'after'], description: 'Insert before/after the given line.' },
-                  // replace_regex
-                  pattern: { type: 'string', description: 'Regex pattern string (no delimiters).'},
-                  flags: { type: 'string', description: 'Regex flags, e.g., gmi.' },
-                },
-                required: ['op']
-              }
-            }
-          },
-          required: ['filePath', 'operations']
-        }
-      }
-    },
-    {
-      type: 'function',
-      function: {
-        name: 'manage_todo',
-        description: 'Create, update, list, or delete todo items for this interactive session.',
-        parameters: {
-          type: 'object',
-          properties: {
-            action: { type: 'string', enum: ['create', 'list', 'update', 'delete', 'complete'], description: 'The action to perform.' },
-            id: { type: 'number', description: 'Todo ID for update/delete/complete.' },
-            title: { type: 'string', description: 'Short title for create/update.' },
-            description: { type: 'string', description: 'Detailed notes.' }
-          },
-          required: ['action']
-        }
-      }
-    }
-  ];
-
-  function logLine(line) {
-    if (!logging.enabled) return;
-    try {
-      fs.appendFileSync(logging.file, `[${new Date().toISOString()}] ${line}\n`);
-    } catch (_) {}
-  }
-
-  function colorizePatch(patch) {
-    const reset = '\x1b[0m';
-    const green = '\x1b[32m';
-    const red = '\x1b[31m';
-    const cyan = '\x1b[36m';
-    const dim = '\x1b[2m';
-    return patch.split('\n').map(line => {
-      if (line.startsWith('+++') || line.startsWith('---')) return dim + line + reset;
-      if (line.startsWith('@@')) return cyan + line + reset;
-      if (line.startsWith('+') && !line.startsWith('+++')) return green + line + reset;
-      if (line.startsWith('-') && !line.startsWith('---')) return red + line + reset;
-      return line;
-    }).join('\n');
-  }
-
-  async function maybePreviewAndConfirmDiff(filePath, before, after) {
-    // Estimate changed lines
-    const A = String(before ?? '').split('\n');
-    const B = String(after ?? '').split('\n');
-    const maxLen = Math.max(A.length, B.length);
-    let changed = 0;
-    for (let i = 0; i < maxLen; i++) if (A[i] !== B[i]) changed++;
-
-    if (!diffPreview.enabled || changed < diffPreview.thresholdLines || !createTwoFilesPatchFn) {
-      return { proceed: true, changed };
-    }
-    const patch = createTwoFilesPatchFn(filePath, filePath, String(before ?? ''), String(after ?? ''), '', '');
-    const lines = patch.split('\n');
-    const head = lines.slice(0, diffPreview.maxLines);
-    const truncated = lines.length > diffPreview.maxLines;
-    const preview = colorizePatch(head.join('\n')) + (truncated ? `\n[Diff truncated to ${diffPreview.maxLines} line(s)]` : '');
-    console.log(preview);
-    const ok = await askYesNo(`Apply these changes to ${filePath}?`);
-    if (!ok) {
-      console.log('[Change aborted]');
-      logLine(`DIFF_ABORT path=${filePath} changedLines=${changed}`);
-      return { proceed: false, changed };
-    }
-    logLine(`DIFF_APPLY path=${filePath} changedLines=${changed}`);
-    return { proceed: true, changed };
-  }
-
-  async function askYesNo(promptText) {
-    while (true) {
-      const ans = (await ask(`${promptText} [y/n]: `)).trim().toLowerCase();
-      if (ans === 'y' || ans === 'yes') return true;
-      if (ans === 'n' || ans === 'no') return false;
-    }
-  }
-
-  // Tool runners with optional permission prompts
-  async function runLocalTool(toolName, args) {
-    // In-session permission cache: commands always require consent; files can reuse
-    const permissionCache = runLocalTool._permCache || (runLocalTool._permCache = { read: new Set(), write: new Set() });
-    function hasPerm(kind, absPath) { return (permissionCache[kind] && permissionCache[kind].has(absPath)) || false; }
-    function grantPerm(kind, absPath) { if (permissionCache[kind]) permissionCache[kind].add(absPath); }
-    function countChangedLines(a, b) {
-      const A = String(a ?? '').split('\n');
-      const B = String(b ?? '').split('\n');
-      const maxLen = Math.max(A.length, B.length);
-      let changed = 0;
-      for (let i = 0; i < maxLen; i++) {
-        const la = A[i];
-        const lb = B[i];
-        if (la !== lb) changed++;
-      }
-      return changed;
-    }
-    try {
-      switch (toolName) {
-        case 'run_command': {
-          const cmd = args?.command || '';
-          const ok = await askYesNo(`ChatGPT would like to run: ${cmd}`);
-          if (!ok) return JSON.stringify({ error: 'Permission denied by user.' });
-          if (debugEnabled) console.log(`[Tool call] run_command ${JSON.stringify({ command: cmd, timeoutMs: args?.timeoutMs ?? undefined })}`);
-          logLine(`CALL run_command args=${JSON.stringify({ command: cmd, timeoutMs: args?.timeoutMs ?? undefined })}`);
-          return await new Promise((resolve) => {
-            const child = spawn(cmd, { shell: true, cwd: process.cwd() });
-            let stdout = '';
-            let stderr = '';
-            const timeoutMs = Math.min(Math.max(Number(args?.timeoutMs) || 0, 0), 600000);
-            let timer = null;
-            if (timeoutMs > 0) {
-              timer = setTimeout(() => {
-                try { child.kill('SIGKILL'); } catch(_) {}
-              }, timeoutMs);
-            }
-            child.stdout.on('data', (d) => { stdout += d.toString(); });
-            child.stderr.on('data', (d) => { stderr += d.toString(); });
-            child.on('close', (code) => {
-              if (timer) clearTimeout(timer);
-              console.log(`[Ran command (exit ${code ?? 'null'})]`);
-              if (debugEnabled) {
-                if (stdout) console.log(`[stdout]\n${stdout}`);
-                if (stderr) console.log(`[stderr]\n${stderr}`);
-              }
-              logLine(`RESULT run_command exit=${code} stdout_len=${stdout.length} stderr_len=${stderr.length}`);
-              resolve(JSON.stringify({ exitCode: code, stdout, stderr }));
-            });
-            child.on('error', (e) => {
-              if (timer) clearTimeout(timer);
-              logLine(`ERROR run_command ${e?.message || String(e)}`);
-              resolve(JSON.stringify({ exitCode: null, error: e?.message || String(e) }));
-            });
-          });
-        }
-        case 'search_files': {
-          const q = String(args?.query || '').toLowerCase();
-          const max = Math.min(Math.max(Number(args?.maxResults) || 100, 1), 500);
-          const results = [];
-          function walk(dir) {
-            let entries = [];
-            try { entries = fs.readdirSync(dir, { withFileTypes: true }); } catch(_) { return; }
-            for (const e of entries) {
-              const full = path.join(dir, e.name);
-              const rel = path.relative(process.cwd(), full);
-              if (rel.toLowerCase().includes(q)) results.push(rel);
-              if (results.length >= max) return;
-              if (e.isDirectory()) walk(full);
-              if (results.length >= max) return;
-            }
-          }
-          walk(process.cwd());
-          console.log(`[Found ${results.length} file(s) matching "${q}"]`);
-          if (debugEnabled) console.log(`[Tool call] search_files ${JSON.stringify({ query: q, maxResults: max })}`);
-          logLine(`CALL search_files args=${JSON.stringify({ query: q, maxResults: max })}`);
-          logLine(`RESULT search_files count=${results.length}`);
-          return JSON.stringify({ results });
-        }
-        case 'path_exists': {
-          const p = path.resolve(process.cwd(), String(args?.targetPath || ''));
-          try {
-            const st = fs.statSync(p);
-            console.log(`[Path exists: ${p} (${st.isDirectory() ? 'dir' : 'file'})]`);
-            if (debugEnabled) console.log(`[Tool call] path_exists ${JSON.stringify({ targetPath: p })}`);
-            logLine(`CALL path_exists args=${JSON.stringify({ targetPath: p })}`);
-            return JSON.stringify({ exists: true, isDirectory: st.isDirectory(), isFile: st.isFile(), path: p });
-          } catch (_) {
-            console.log(`[Path not found: ${p}]`);
-            logLine(`CALL path_exists args=${JSON.stringify({ targetPath: p })}`);
-            return JSON.stringify({ exists: false, path: p });
-          }
-        }
-        case 'read_dir': {
-          const p = path.resolve(process.cwd(), String(args?.dirPath || ''));
-          try {
-            const items = fs.readdirSync(p, { withFileTypes: true }).map((d) => {
-              const o = { name: d.name };
-              if (args?.includeTypes) o.type = d.isDirectory() ? 'dir' : (d.isFile() ? 'file' : 'other');
-              return o;
-            });
-            console.log(`[Listed directory: ${p} (${items.length} entries)]`);
-            if (debugEnabled) console.log(`[Tool call] read_dir ${JSON.stringify({ dirPath: p, includeTypes: !!args?.includeTypes })}`);
-            logLine(`CALL read_dir args=${JSON.stringify({ dirPath: p, includeTypes: !!args?.includeTypes })}`);
-            logLine(`RESULT read_dir count=${items.length}`);
-            return JSON.stringify({ path: p, items });
-          } catch (e) {
-            return JSON.stringify({ error: e?.message || String(e), path: p });
-          }
-        }
-        case 'read_file': {
-          const p = path.resolve(process.cwd(), String(args?.filePath || ''));
-          if (hasPerm('read', p)) {
-            console.log(`[Using prior permission for read: ${p}]`);
-          } else {
-            const ok = await askYesNo(`ChatGPT would like to access (read): ${p}`);
-            if (!ok) return JSON.stringify({ error: 'Permission denied by user.' });
-            grantPerm('read', p);
-          }
-          if (debugEnabled) console.log(`[Tool call] read_file ${JSON.stringify({ filePath: p, maxBytes: args?.maxBytes ?? undefined })}`);
-          logLine(`CALL read_file args=${JSON.stringify({ filePath: p, maxBytes: args?.maxBytes ?? undefined })}`);
-          try {
-            const max = Math.min(Math.max(Number(args?.maxBytes) || 200000, 1), 200000);
-            const fd = fs.openSync(p, 'r');
-            const buf = Buffer.allocUnsafe(max);
-            const bytes = fs.readSync(fd, buf, 0, max, 0);
-            fs.closeSync(fd);
-            const content = buf.slice(0, bytes).toString('utf8');
-            const total = fs.statSync(p).size;
-            console.log(`[Read ${bytes}/${total} bytes from ${p}${total > bytes ? ' (truncated)' : ''}]`);
-            logLine(`RESULT read_file bytes=${bytes} total=${total}`);
-            return JSON.stringify({ path: p, content, truncated: total > bytes, bytesRead: bytes });
-          } catch (e) {
-            logLine(`ERROR read_file ${e?.message || String(e)}`);
-            return JSON.stringify({ error: e?.message || String(e), path: p });
-          }
-        }
-        case 'write_file': {
-          const p = path.resolve(process.cwd(), String(args?.filePath || ''));
-          if (hasPerm('write', p)) {
-            console.log(`[Using prior permission for write: ${p}]`);
-          } else {
-            const ok = await askYesNo(`ChatGPT would like to access (write): ${p}`);
-            if (!ok) return JSON.stringify({ error: 'Permission denied by user.' });
-            grantPerm('write', p);
-          }
-          if (debugEnabled) console.log(`[Tool call] write_file ${JSON.stringify({ filePath: p, contentBytes: (args?.content || '').length })}`);
-          logLine(`CALL write_file args=${JSON.stringify({ filePath: p, contentBytes: (args?.content || '').length })}`);
-          try {
-            let before = '';
-            let existed = false;
-            try { before = fs.readFileSync(p, 'utf8'); existed = true; } catch(_) {}
-            const after = String(args?.content || '');
-            if (existed) {
-              const decision = await maybePreviewAndConfirmDiff(p, before, after);
-              if (!decision.proceed) return JSON.stringify({ path: p, ok: false, aborted: true });
-            }
-            fs.mkdirSync(path.dirname(p), { recursive: true });
-            fs.writeFileSync(p, after, 'utf8');
-            if (existed) {
-              const changed = countChangedLines(before, after);
-              console.log(`[Changed ${changed} line(s) of text in ${p}]`);
-            } else {
-              const lines = String(after).split('\n').length;
-              console.log(`[Created ${p} with ${lines} line(s)]`);
-            }
-            logLine(`RESULT write_file ok=true`);
-            return JSON.stringify({ path: p, ok: true });
-          } catch (e) {
-            logLine(`ERROR write_file ${e?.message || String(e)}`);
-            return JSON.stringify({ error: e?.message || String(e), path: p });
-          }
-        }
-        case 'patch_file': {
-          const p = path.resolve(process.cwd(), String(args?.filePath || ''));
-          if (hasPerm('write', p)) {
-            console.log(`[Using prior permission for write: ${p}]`);
-          } else {
-            const ok = await askYesNo(`ChatGPT would like to patch (write): ${p}`);
-            if (!ok) return JSON.stringify({ error: 'Permission denied by user.' });
-            grantPerm('write', p);
-          }
-          if (debugEnabled) console.log(`[Tool call] patch_file ${JSON.stringify({ filePath: p, operations: Array.isArray(args?.operations) ? args.operations.length : 0 })}`);
-          logLine(`CALL patch_file args=${JSON.stringify({ filePath: p, operations: Array.isArray(args?.operations) ? args.operations.length : 0 })}`);
-          try {
-            if (!fs.existsSync(p)) return JSON.stringify({ error: 'File does not exist', path: p });
-            let content = fs.readFileSync(p, 'utf8');
-            const original = content;
-            const ops = Array.isArray(args?.operations) ? args.operations : [];
-            if (!ops.length) return JSON.stringify({ error: 'No operations provided', path: p });
-
-            const applyOps = () => {
-              for (const op of ops) {
-                const kind = String(op.op || '').toLowerCase();
-                if (kind === 'replace_range') {
-                  const start = Number(op.startLine);
-                  const end = Number(op.endLine);
-                  if (!Number.isInteger(start) || !Number.isInteger(end) || start < 1 || end < start) {
-                    throw new Error('Invalid startLine/endLine');
-                  }
-                  const lines = content.split('\n');
-                  const before = lines.slice(0, start - 1);
-                  const after = lines.slice(end);
-                  const mid = String(op.newContent ?? '');
-                  const midLines = mid.length ? mid.split('\n') : [];
-                  content = [...before, ...midLines, ...after].join('\n');
-                } else if (kind === 'insert_at') {
-                  const line = Number(op.line);
-                  const pos = (op.position || 'before').toLowerCase();
-                  if (!Number.isInteger(line) || line < 1) throw new Error('Invalid line');
-                  const lines = content.split('\n');
-                  const idx = pos === 'after' ? line : line - 1; // after inserts after given line
-                  const addLines = String(op.newContent ?? '').split('\n');
-                  const head = lines.slice(0, idx);
-                  const tail = lines.slice(idx);
-                  content = [...head, ...addLines, ...tail].join('\n');
-                } else if (kind === 'replace_regex') {
-                  const pat = String(op.pattern || '');
-                  const flags = String(op.flags || '');
-                  const re = new RegExp(pat, flags);
-                  const repl = String(op.newContent ?? '');
-                  content = content.replace(re, repl);
-                } else if (kind === 'append') {
-                  content = content + String(op.newContent ?? '');
-                } else if (kind === 'prepend') {
-                  content = String(op.newContent ?? '') + content;
-                } else {
-                  throw new Error(`Unsupported op: ${kind}`);
-                }
-              }
-            };
-
-            applyOps();
-            const decision = await maybePreviewAndConfirmDiff(p, original, content);
-            if (!decision.proceed) return JSON.stringify({ path: p, ok: false, aborted: true });
-            fs.writeFileSync(p, content, 'utf8');
-            const changed = countChangedLines(original, content);
-            console.log(`[Changed ${changed} line(s) of text in ${p}]`);
-            logLine(`RESULT patch_file changedLines=${changed}`);
-            return JSON.stringify({ path: p, ok: true, changedLines: changed });
-          } catch (e) {
-            logLine(`ERROR patch_file ${e?.message || String(e)}`);
-            return JSON.stringify({ error: e?.message || String(e), path: p });
-          }
-        }
-        case 'manage_todo': {
-          const action = String(args?.action || '').toLowerCase();
-          if (action === 'create') {
-            const id = todoList.length ? Math.max(...todoList.map(t => t.id)) + 1 : 1;
-            const item = { id, title: String(args?.title || 'Untitled'), description: String(args?.description || ''), status: 'not-started' };
-            todoList.push(item);
-            if (todoList.length === 1) console.log('[Created TODO List]');
-            console.log('[Added 1 item to TODO List]');
-            await saveSession();
-            return JSON.stringify({ ok: true, item });
-          }
-          if (action === 'list') {
-            console.log(`[TODO List: ${todoList.length} item(s)]`);
-            return JSON.stringify({ items: todoList });
-          }
-          if (action === 'update') {
-            const id = Number(args?.id);
-            const it = todoList.find(t => t.id === id);
-            if (!it) return JSON.stringify({ error: 'Not found' });
-            if (args?.title != null) it.title = String(args.title);
-            if (args?.description != null) it.description = String(args.description);
-            console.log(`[Updated TODO item #${id}]`);
-            await saveSession();
-            return JSON.stringify({ ok: true, item: it });
-          }
-          if (action === 'complete') {
-            const id = Number(args?.id);
-            const it = todoList.find(t => t.id === id);
-            if (!it) return JSON.stringify({ error: 'Not found' });
-            it.status = 'completed';
-            console.log('[Marked 1 TODO List item as completed]');
-            await saveSession();
-            return JSON.stringify({ ok: true, item: it });
-          }
-          if (action === 'delete') {
-            const id = Number(args?.id);
-            const idx = todoList.findIndex(t => t.id === id);
-            if (idx === -1) return JSON.stringify({ error: 'Not found' });
-            const [removed] = todoList.splice(idx, 1);
-            console.log('[Deleted 1 TODO List item]');
-            await saveSession();
-            return JSON.stringify({ ok: true, removed });
-          }
-          return JSON.stringify({ error: 'Unsupported action' });
-        }
-        default:
-          return JSON.stringify({ error: `Unknown tool: ${toolName}` });
-      }
-    } catch (e) {
-      return JSON.stringify({ error: e?.message || String(e) });
+      const hits = modelSubs.filter(s => s.startsWith(after));
+      return [hits.length ? hits.map(h => `/model ${h}`) : [], line];
+    }
+    if (line.startsWith('/diff ')) {
+      const after = line.slice(6);
+      const hits = diffSubs.filter(s => s.startsWith(after));
+      return [hits.length ? hits.map(h => `/diff ${h}`) : [], line];
+    }
+    const configKeyMatch = /^\/config (get|set|unset) (\S*)$/.exec(line);
+    if (configKeyMatch) {
+      const hits = Object.keys(CONFIG_KEYS).concat(CONFIG_SECTIONS).filter(k => k.startsWith(configKeyMatch[2]));
+      return [hits.map(h => `/config ${configKeyMatch[1]} ${h}`), line];
+    }
+    if (line.startsWith('/config ')) {
+      const after = line.slice(8);
+      const hits = configSubs.filter(s => s.startsWith(after));
+      return [hits.length ? hits.map(h => `/config ${h}`) : [], line];
     }
-  }
-
-  async function runModelWithTools() {
-    // Note: caller may attach an AbortController through arguments via binding/closure
-    const controller = runModelWithTools._controller;
-    for (let step = 0; step < 20; step++) {
-      const completion = await client.chat.completions.create({
-        model: options.model,
-        messages: toChatMessages(),
-        tools: toolDefinitions,
-        temperature: typeof options.temperature === 'number' && !Number.isNaN(options.temperature) ? options.temperature : undefined,
-        max_tokens: typeof options.maxTokens === 'number' && !Number.isNaN(options.maxTokens) ? options.maxTokens : undefined,
-      }, controller ? { signal: controller.signal } : undefined);
-
-      const msg = completion.choices?.[0]?.message || {};
-      const toolCalls = msg.tool_calls || [];
-
-      if (toolCalls.length > 0) {
-        if (debugEnabled) {
-          for (const tc of toolCalls) {
-            console.log(`[Model requested tool] ${tc.function?.name} ${tc.function?.arguments || ''}`);
-          }
-        }
-        for (const tc of toolCalls) {
-          // Record assistant tool call message
-          chatHistory.push({ role: 'assistant', content: msg.content || null, tool_calls: [tc] });
-          logLine(`TOOL_REQUEST name=${tc.function?.name} args=${tc.function?.arguments || ''}`);
-          let args = {};
-          try { args = JSON.parse(tc.function?.arguments || '{}'); } catch(_) { args = {}; }
-          const result = await runLocalTool(tc.function?.name, args);
-          chatHistory.push({ role: 'tool', tool_call_id: tc.id, content: result });
-        }
-        continue; // Ask the model again with tool outputs
-      }
 
-      // Final assistant message (no tool calls)
-      const reply = (msg.content || '').trim();
-      if (!options.quiet && reply) console.log(reply);
-      chatHistory.push({ role: 'assistant', content: reply });
-      await saveSession();
-      if (options.out) fs.writeFileSync(options.out, reply);
-      break;
+    // Custom commands complete file paths for their arguments
+    const customMatch = /^\/([\w-]+) (.*)$/.exec(line);
+    if (customMatch && loadCustomCommands().has(customMatch[1])) {
+      const words = customMatch[2].split(' ');
+      const frag = words.pop();
+      const prefix = line.slice(0, line.length - frag.length);
+      return [pathCompleter(frag).map(h => prefix + h), line];
     }
+
+    const customNames = [...loadCustomCommands().keys()].map(n => `/${n}`).filter(n => !commands.includes(n));
+    const hits = commands.concat(customNames).filter(c => c.startsWith(line));
+    return [hits.length ? hits : [], line];
   }
 
-  async function agenticExchange(userInput) {
-    // Add the prompt to chat history
-    chatHistory.push({ role: 'user', content: buildUserContent(userInput) });
-    // Set up cancel-on-keypress (F/f)
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true, completer });
+  promptInterface = rl;
+  console.log('Interactive mode. Type /help for commands.');
+  console.log(`Session file: ${sessionFile || 'N/A'}`);
+
+  // Run the tool loop with cancel-on-keypress (F/f); API failures are reported and the session carries on
+  async function runCancellable() {
     const controller = new AbortController();
     runModelWithTools._controller = controller;
     let prevRaw = undefined;
@@ -907,11 +4471,11 @@ async function startInteractive() {
       console.log('[Press F to cancel]');
       await runModelWithTools();
     } catch (e) {
-      const msg = (e?.name || '').toString();
-      if (msg === 'AbortError' || /aborted|abort/i.test(e?.message || '')) {
+      if (isAbortError(e)) {
         console.log('[Cancelled]');
       } else {
-        throw e;
+        // The prompt stays in the history; /retry sends it again
+        reportError(e);
       }
     } finally {
       runModelWithTools._controller = null;
@@ -921,287 +4485,827 @@ async function startInteractive() {
       }
     }
   }
+
+  async function agenticExchange(userInput) {
+    // Add the prompt to chat history
+    if (!await submitPrompt(userInput)) return;
+    await runCancellable();
+  }
   while (true) {
     const input = await ask('> ');
     if (!input) continue;
-    if (input.trim() === '/help') {
-      console.log('Commands:');
-      console.log('  /help                Show this help menu');
-      console.log('  /exit                Exit interactive mode');
-      console.log('  /save <filename>     Save session history and set as active session');
-      console.log('  /perms [list|clear]  View or clear cached file permissions');
-      console.log('  /log [on|off|set <file>]  Log tool calls and args to file');
-      console.log('  /debug [on|off]      Print tool calls and command outputs');
-      console.log('  /model [set <id>|temp <n>|maxtokens <n>|systemmsg <text>|systemclear]');
-      console.log('  /retry               Retry the last assistant response');
-      console.log('  /edit                Edit last user message and resend');
-      console.log('  /reset               Clear chat history and tool state');
-      console.log('  /restart             Clear screen, tool state, and permissions');
-      console.log('  /clear               Clear the screen');
-      console.log('  /diff [on|off|threshold <n>|maxlines <n>]  Configure diff preview');
-      console.log('Tips: Press F during a model response to cancel.');
-      console.log('  /todo list           Show TODO items');
-      console.log('  /todo add <title> [| <desc>]');
-      console.log('  /todo update <id> <title> [| <desc>]');
-      console.log('  /todo complete <id>');
-      console.log('  /todo delete <id>');
-      continue;
-    }
-    if (input.trim().startsWith('/todo')) {
-      const raw = input.trim();
-      const parts = raw.split(/\s+/);
-      const sub = parts[1] || '';
-      const rest = raw.replace(/^\/todo\s+[^\s]+\s*/, '');
-      const splitTitleDesc = (text) => {
-        const idx = text.indexOf('|');
-        if (idx === -1) return { title: text.trim(), description: '' };
-        return { title: text.slice(0, idx).trim(), description: text.slice(idx + 1).trim() };
-      };
-      const nextId = () => (todoList.length ? Math.max(...todoList.map(t => t.id)) + 1 : 1);
-
-      if (sub === 'list' || sub === '') {
-        console.log(`[TODO List: ${todoList.length} item(s)]`);
-        for (const t of todoList) {
-          const box = t.status === 'completed' ? '[x]' : '[ ]';
-          const desc = t.description ? ` — ${t.description}` : '';
-          console.log(`  ${box} #${t.id} ${t.title}${desc}`);
+    try {
+      if (input.trim() === '/help') {
+        console.log('Commands:');
+        console.log('  /help                Show this help menu');
+        console.log('  /exit                Exit interactive mode');
+        console.log('  /save <filename>     Save session history and set as active session');
+        console.log('  /sessions            List saved sessions');
+        console.log('  /load <name>         Switch to another session');
+        console.log('  /fork <name>         Copy this conversation into a new session and switch to it');
+        console.log('  /rename <name>       Rename the current session file');
+        console.log('  /delete <name>       Delete a session file');
+        console.log('  /export <md|html|jsonl> [file] [--system] [--full]  Export this conversation');
+        console.log('  /perms [list|clear]  View permission rules or clear session rules');
+        console.log('  /perms add <session|project|global> <allow|deny|ask> <tool|*> [glob|command]');
+        console.log('  /perms remove <scope> <n>   Remove rule #n from a scope');
+        console.log('  /perms explain <tool> <path|command>  Show which rule decides a request');
+        console.log('  /log [on|off|set <file>]  Log tool calls and args to file');
+        console.log('  /debug [on|off]      Print tool calls and command outputs');
+        console.log('  /model [set <id>|temp <n>|maxtokens <n>|api <chat|responses|auto>|effort <level>|systemmsg <text>|systemclear]');
+        console.log('  /provider [<name>]   Show provider profiles or switch to one');
+        console.log('  /compact [instructions]  Summarize the conversation to free up context');
+        console.log('  /usage               Show token usage and cost for this session');
+        console.log('  /retry               Retry the last assistant response');
+        console.log('  /edit                Edit last user message and resend');
+        console.log('  /reset               Clear chat history and tool state');
+        console.log('  /restart             Clear screen, tool state, and permissions');
+        console.log('  /clear               Clear the screen');
+        console.log('  /diff [on|off|threshold <n>|maxlines <n>]  Configure diff preview');
+        console.log('  /config [list|get <key>|set <key> <value>|unset <key>|keys] [--project]  Saved defaults (next run)');
+        console.log('  /image [<path>|clear]  Attach an image to your next message, or list/clear attached ones');
+        console.log('  /extract [dir]       Write the last reply\'s fenced code blocks to files (default: cwd)');
+        console.log('  /undo                Revert the last turn\'s file changes and messages');
+        console.log('  /checkpoints         List file checkpoints');
+        console.log('  /restore <id>        Revert files and history back to checkpoint <id>');
+        console.log('  /ps                  List background processes started by the model');
+        console.log('  /mcp [restart <server>]  List MCP servers and their tools, or restart one');
+        console.log('  /kill <id>           Stop a background process');
+        console.log('Tips: Press F during a model response to cancel.');
+        console.log('  /todo list           Show TODO items');
+        console.log('  /todo add <title> [| <desc>]');
+        console.log('  /todo update <id> <title> [| <desc>]');
+        console.log('  /todo complete <id>');
+        console.log('  /todo delete <id>');
+        const customCommands = [...loadCustomCommands().values()];
+        if (customCommands.length) {
+          console.log('Custom commands:');
+          for (const c of customCommands) console.log(`  ${`/${c.name} [args]`.padEnd(20)} ${c.description}`);
         }
         continue;
       }
-      if (sub === 'add') {
-        if (!rest) { console.log('Usage: /todo add <title> [| <desc>]'); continue; }
-        const { title, description } = splitTitleDesc(rest);
-        const item = { id: nextId(), title: title || 'Untitled', description: description || '', status: 'not-started' };
-        todoList.push(item);
-        if (todoList.length === 1) console.log('[Created TODO List]');
-        console.log('[Added 1 item to TODO List]');
-        await saveSession();
+      if (input.trim().startsWith('/todo')) {
+        const raw = input.trim();
+        const parts = raw.split(/\s+/);
+        const sub = parts[1] || '';
+        const rest = raw.replace(/^\/todo\s+[^\s]+\s*/, '');
+        const splitTitleDesc = (text) => {
+          const idx = text.indexOf('|');
+          if (idx === -1) return { title: text.trim(), description: '' };
+          return { title: text.slice(0, idx).trim(), description: text.slice(idx + 1).trim() };
+        };
+        const nextId = () => (todoList.length ? Math.max(...todoList.map(t => t.id)) + 1 : 1);
+
+        if (sub === 'list' || sub === '') {
+          console.log(`[TODO List: ${todoList.length} item(s)]`);
+          for (const t of todoList) {
+            const box = t.status === 'completed' ? '[x]' : '[ ]';
+            const desc = t.description ? ` — ${t.description}` : '';
+            console.log(`  ${box} #${t.id} ${t.title}${desc}`);
+          }
+          continue;
+        }
+        if (sub === 'add') {
+          if (!rest) { console.log('Usage: /todo add <title> [| <desc>]'); continue; }
+          const { title, description } = splitTitleDesc(rest);
+          const item = { id: nextId(), title: title || 'Untitled', description: description || '', status: 'not-started' };
+          todoList.push(item);
+          if (todoList.length === 1) console.log('[Created TODO List]');
+          console.log('[Added 1 item to TODO List]');
+          await saveSession();
+          continue;
+        }
+        if (sub === 'update') {
+          const idStr = parts[2];
+          if (!idStr) { console.log('Usage: /todo update <id> <title> [| <desc>]'); continue; }
+          const id = Number(idStr);
+          if (!Number.isInteger(id)) { console.error('Invalid id.'); continue; }
+          const text = raw.replace(/^\/todo\s+update\s+\d+\s*/, '');
+          if (!text) { console.log('Usage: /todo update <id> <title> [| <desc>]'); continue; }
+          const { title, description } = splitTitleDesc(text);
+          const it = todoList.find(t => t.id === id);
+          if (!it) { console.error('Not found'); continue; }
+          if (title) it.title = title;
+          if (description !== undefined) it.description = description;
+          console.log(`[Updated TODO item #${id}]`);
+          await saveSession();
+          continue;
+        }
+        if (sub === 'complete') {
+          const idStr = parts[2];
+          const id = Number(idStr);
+          if (!Number.isInteger(id)) { console.error('Usage: /todo complete <id>'); continue; }
+          const it = todoList.find(t => t.id === id);
+          if (!it) { console.error('Not found'); continue; }
+          it.status = 'completed';
+          console.log('[Marked 1 TODO List item as completed]');
+          await saveSession();
+          continue;
+        }
+        if (sub === 'delete') {
+          const idStr = parts[2];
+          const id = Number(idStr);
+          if (!Number.isInteger(id)) { console.error('Usage: /todo delete <id>'); continue; }
+          const idx = todoList.findIndex(t => t.id === id);
+          if (idx === -1) { console.error('Not found'); continue; }
+          todoList.splice(idx, 1);
+          console.log('[Deleted 1 TODO List item]');
+          await saveSession();
+          continue;
+        }
+        console.error('Unknown /todo subcommand. Type /help for commands.');
         continue;
       }
-      if (sub === 'update') {
-        const idStr = parts[2];
-        if (!idStr) { console.log('Usage: /todo update <id> <title> [| <desc>]'); continue; }
-        const id = Number(idStr);
-        if (!Number.isInteger(id)) { console.error('Invalid id.'); continue; }
-        const text = raw.replace(/^\/todo\s+update\s+\d+\s*/, '');
-        if (!text) { console.log('Usage: /todo update <id> <title> [| <desc>]'); continue; }
-        const { title, description } = splitTitleDesc(text);
-        const it = todoList.find(t => t.id === id);
-        if (!it) { console.error('Not found'); continue; }
-        if (title) it.title = title;
-        if (description !== undefined) it.description = description;
-        console.log(`[Updated TODO item #${id}]`);
-        await saveSession();
+      if (input.trim().startsWith('/export')) {
+        const parts = input.trim().split(/\s+/).slice(1);
+        const flags = parts.filter(p => p.startsWith('--'));
+        const [format, outFile] = parts.filter(p => !p.startsWith('--'));
+        if (!format || !EXPORT_FORMATS[format.toLowerCase()]) { console.log('Usage: /export <md|html|jsonl> [file] [--system] [--full]'); continue; }
+        const name = sessionFile ? sessionName(sessionFile) : 'session';
+        try {
+          const opts = { format, includeSystem: flags.includes('--system'), fullToolOutput: flags.includes('--full') };
+          const { format: ext, text } = exportSession({ chatHistory, todoList }, `Session: ${name}`, opts);
+          const target = outFile || `${name}.${ext}`;
+          fs.writeFileSync(target, text);
+          console.log(`[Exported ${chatHistory.length} message(s) -> ${target}]`);
+        } catch (e) {
+          console.error('Error:', e?.message || e);
+        }
         continue;
       }
-      if (sub === 'complete') {
-        const idStr = parts[2];
-        const id = Number(idStr);
-        if (!Number.isInteger(id)) { console.error('Usage: /todo complete <id>'); continue; }
-        const it = todoList.find(t => t.id === id);
-        if (!it) { console.error('Not found'); continue; }
-        it.status = 'completed';
-        console.log('[Marked 1 TODO List item as completed]');
-        await saveSession();
+      if (input.trim() === '/sessions') {
+        printSessions();
         continue;
       }
-      if (sub === 'delete') {
-        const idStr = parts[2];
-        const id = Number(idStr);
-        if (!Number.isInteger(id)) { console.error('Usage: /todo delete <id>'); continue; }
-        const idx = todoList.findIndex(t => t.id === id);
-        if (idx === -1) { console.error('Not found'); continue; }
-        todoList.splice(idx, 1);
-        console.log('[Deleted 1 TODO List item]');
+      if (input.trim().startsWith('/load')) {
+        const name = input.trim().split(/\s+/)[1];
+        if (!name) { console.log('Usage: /load <name>'); continue; }
+        const file = resolveSessionPath(name);
+        if (!fs.existsSync(file)) { console.error(`Session not found: ${file}`); continue; }
         await saveSession();
+        sessionFile = file;
+        loadSessionFile(sessionFile);
+        loadCheckpoints();
+        currentTurn = null;
+        console.log(`[Loaded ${sessionName(file)}: ${chatHistory.filter(m => m.role !== 'system').length} message(s)]`);
+        console.log(`Session file: ${sessionFile}`);
         continue;
       }
-      console.error('Unknown /todo subcommand. Type /help for commands.');
-      continue;
-    }
-    if (input.trim().startsWith('/save')) {
-      const parts = input.trim().split(/\s+/);
-      const fname = parts[1];
-      if (!fname) {
-        console.log('Usage: /save <filename>');
-      } else {
-        sessionFile = ensureGptpExt(fname);
+      if (input.trim().startsWith('/fork')) {
+        const name = input.trim().split(/\s+/)[1];
+        if (!name) { console.log('Usage: /fork <name>'); continue; }
+        const file = resolveSessionPath(name);
+        if (fs.existsSync(file)) { console.error(`Session already exists: ${file}`); continue; }
+        await saveSession();
+        // The fork starts with the same conversation and todos but its own checkpoints and usage
+        sessionFile = file;
+        checkpoints = [];
+        currentTurn = null;
+        sessionUsage = [];
         await saveSession();
+        console.log(`[Forked into ${sessionName(file)}]`);
         console.log(`Session file: ${sessionFile}`);
+        continue;
       }
-      continue;
-    }
-    if (input.trim().startsWith('/perms')) {
-      const parts = input.trim().split(/\s+/);
-      const sub = parts[1] || '';
-      const cache = (runLocalTool._permCache ||= { read: new Set(), write: new Set() });
-      if (sub === 'list' || sub === '') {
-        const read = Array.from(cache.read);
-        const write = Array.from(cache.write);
-        console.log('[Permissions]');
-        console.log(`  read (${read.length})`);
-        for (const p of read) console.log(`   - ${p}`);
-        console.log(`  write (${write.length})`);
-        for (const p of write) console.log(`   - ${p}`);
-      } else if (sub === 'clear') {
-        cache.read.clear();
-        cache.write.clear();
-        console.log('[Cleared cached permissions]');
-      } else {
-        console.error('Usage: /perms [list|clear]');
+      if (input.trim().startsWith('/rename')) {
+        const name = input.trim().split(/\s+/)[1];
+        if (!name) { console.log('Usage: /rename <name>'); continue; }
+        if (!sessionFile) { console.error('No active session. Use /save <filename> first.'); continue; }
+        const file = path.join(path.dirname(sessionFile), path.basename(ensureGptpExt(name)));
+        if (fs.existsSync(file)) { console.error(`Session already exists: ${file}`); continue; }
+        const oldCheckpoints = getCheckpointFile();
+        await saveSession();
+        try {
+          fs.renameSync(sessionFile, file);
+          sessionFile = file;
+          if (fs.existsSync(oldCheckpoints)) fs.renameSync(oldCheckpoints, getCheckpointFile());
+          console.log(`Session file: ${sessionFile}`);
+        } catch (e) {
+          console.error('Failed to rename session:', e?.message || e);
+        }
+        continue;
       }
-      continue;
-    }
-    if (input.trim().startsWith('/log')) {
-      const parts = input.trim().split(/\s+/);
-      const sub = parts[1] || '';
-      if (sub === 'on') {
-        logging.enabled = true;
-        console.log(`[Logging enabled -> ${logging.file}]`);
-      } else if (sub === 'off') {
-        logging.enabled = false;
-        console.log('[Logging disabled]');
-      } else if (sub === 'set') {
-        const fname = parts[2];
-        if (!fname) { console.log('Usage: /log set <filename>'); }
-        else { logging.file = fname; console.log(`[Log file set -> ${logging.file}]`); }
-      } else if (sub === '') {
-        console.log(`[Logging ${logging.enabled ? 'on' : 'off'} -> ${logging.file}]`);
-      } else {
-        console.log('Usage: /log [on|off|set <filename>]');
+      if (input.trim().startsWith('/delete')) {
+        const name = input.trim().split(/\s+/)[1];
+        if (!name) { console.log('Usage: /delete <name>'); continue; }
+        const file = resolveSessionPath(name);
+        if (!fs.existsSync(file)) { console.error(`Session not found: ${file}`); continue; }
+        if (!(await askYesNo(`Delete session ${file}?`))) continue;
+        const isCurrent = sessionFile && path.resolve(sessionFile) === path.resolve(file);
+        try {
+          fs.unlinkSync(file);
+          const sidecar = file.replace(/\.gptp$/i, '') + '.checkpoints.json';
+          if (fs.existsSync(sidecar)) fs.unlinkSync(sidecar);
+          console.log(`[Deleted ${file}]`);
+        } catch (e) {
+          console.error('Failed to delete session:', e?.message || e);
+          continue;
+        }
+        if (isCurrent) {
+          // Keep the conversation in memory but stop writing it anywhere
+          sessionFile = undefined;
+          checkpoints = [];
+          console.log('Session file: N/A (use /save <filename> to keep this conversation)');
+        }
+        continue;
       }
-      continue;
-    }
-    if (input.trim().startsWith('/diff')) {
-      const parts = input.trim().split(/\s+/);
-      const sub = parts[1] || '';
-      if (!sub) {
-        console.log(`[Diff preview ${diffPreview.enabled ? 'on' : 'off'}] threshold=${diffPreview.thresholdLines} maxLines=${diffPreview.maxLines}`);
-      } else if (sub === 'on') {
-        diffPreview.enabled = true;
-        console.log('[Diff preview on]');
-        await saveSession();
-      } else if (sub === 'off') {
-        diffPreview.enabled = false;
-        console.log('[Diff preview off]');
+      if (input.trim().startsWith('/save')) {
+        const parts = input.trim().split(/\s+/);
+        const fname = parts[1];
+        if (!fname) {
+          console.log('Usage: /save <filename>');
+        } else {
+          sessionFile = resolveSessionPath(fname);
+          await saveSession();
+          saveCheckpoints();
+          console.log(`Session file: ${sessionFile}`);
+        }
+        continue;
+      }
+      if (input.trim() === '/checkpoints') {
+        console.log(`[Checkpoints: ${checkpoints.length}]`);
+        for (const cp of checkpoints) {
+          const when = new Date(cp.createdAt).toLocaleString();
+          console.log(`  #${cp.id} ${when} (${cp.files.length} file(s)) ${cp.prompt || '(no prompt)'}`);
+          for (const f of cp.files) console.log(`     ${f.existed ? 'modified' : 'created '} ${path.relative(process.cwd(), f.path) || f.path}`);
+        }
+        continue;
+      }
+      if (input.trim() === '/undo' || input.trim().startsWith('/restore')) {
+        const parts = input.trim().split(/\s+/);
+        let id;
+        if (parts[0] === '/undo') {
+          if (!checkpoints.length) { console.log('[Nothing to undo]'); continue; }
+          id = checkpoints[checkpoints.length - 1].id;
+        } else {
+          id = parseInt(parts[1], 10);
+          if (!Number.isInteger(id)) { console.log('Usage: /restore <id>'); continue; }
+        }
+        const result = await restoreCheckpoint(id);
+        if (!result) { console.error(`No checkpoint #${id}. Type /checkpoints to list them.`); continue; }
+        for (const f of result.files) console.log(`  restored ${path.relative(process.cwd(), f) || f}`);
+        console.log(`[Restored checkpoint #${id}: ${result.files.length} file(s), history rolled back to ${chatHistory.length} message(s)]`);
+        continue;
+      }
+      if (input.trim().startsWith('/perms')) {
+        const raw = input.trim();
+        const parts = raw.split(/\s+/);
+        const sub = parts[1] || '';
+        if (sub === 'list' || sub === '') {
+          console.log('[Permissions]');
+          for (const scope of PERMISSION_SCOPES) {
+            const rules = loadPermissionRules(scope);
+            const where = getPermissionsPath(scope);
+            const inactive = scope === 'project' && rules.some(r => r.action === 'allow') && !projectAllowRulesTrusted();
+            console.log(`  ${scope} (${rules.length})${where ? ` ${where}` : ''}${inactive ? ' - allow rules ignored until "gpt trust"' : ''}`);
+            rules.forEach((r, i) => console.log(`   #${i + 1} ${describeRule(r)}`));
+          }
+          const flags = [
+            options.denyAll && '--deny-all',
+            options.yes && '--yes',
+            options.allowRead && '--allow-read',
+            ...(options.allowWrite || []).map(g => `--allow-write ${g}`),
+            ...(options.allowCommand || []).map(p => `--allow-command ${p}`),
+          ].filter(Boolean);
+          if (flags.length) console.log(`  flags: ${flags.join(' ')}`);
+        } else if (sub === 'add') {
+          // /perms add <scope> <allow|deny|ask> <tool> [path glob | command pattern]
+          const [, , scope, action, tool] = parts;
+          const target = raw.replace(/^\/perms\s+add\s+\S+\s+\S+\s+\S+\s*/, '');
+          if (!PERMISSION_SCOPES.includes(scope) || !action || !tool) {
+            console.log('Usage: /perms add <session|project|global> <allow|deny|ask> <tool|*> [path glob | command pattern]');
+            continue;
+          }
+          try {
+            const rule = { action, tool };
+            if (target) {
+              if (tool === 'run_command') rule.command = target;
+              else rule.path = target;
+            }
+            const normalized = normalizePermissionRule(rule);
+            if (addPermissionRule(scope, normalized)) {
+              console.log(`[Added ${scope} rule: ${describeRule(normalized)}]`);
+              if (scope === 'project' && normalized.action === 'allow' && !projectAllowRulesTrusted()) {
+                console.log('[Project allow rules apply only after "gpt trust"]');
+              }
+            }
+          } catch (e) {
+            console.error(e?.message || e);
+          }
+        } else if (sub === 'remove') {
+          const scope = parts[2];
+          const n = parseInt(parts[3], 10);
+          const rules = PERMISSION_SCOPES.includes(scope) ? loadPermissionRules(scope).slice() : [];
+          if (!PERMISSION_SCOPES.includes(scope) || !Number.isInteger(n) || n < 1 || n > rules.length) {
+            console.log('Usage: /perms remove <session|project|global> <n>');
+            continue;
+          }
+          const [removed] = rules.splice(n - 1, 1);
+          if (savePermissionRules(scope, rules)) console.log(`[Removed ${scope} rule: ${describeRule(removed)}]`);
+        } else if (sub === 'explain') {
+          const tool = parts[2];
+          const kind = permissionKindForTool(tool);
+          // Module tools are approved by name alone
+          const target = kind === 'tool' ? tool : raw.replace(/^\/perms\s+explain\s+\S+\s*/, '');
+          if (!kind || !target) {
+            console.log('Usage: /perms explain <read_file|write_file|patch_file|run_command> <path | command>');
+            continue;
+          }
+          const resolved = kind === 'command' || kind === 'tool' ? target : path.resolve(process.cwd(), target);
+          const { action, source } = explainPermission(tool, kind, resolved);
+          console.log(`[${action}] ${tool} ${resolved} <- ${source}`);
+        } else if (sub === 'clear') {
+          permissionRules.session = [];
+          console.log('[Cleared session permission rules]');
+        } else {
+          console.error('Usage: /perms [list|add|remove|explain|clear]');
+        }
+        continue;
+      }
+      if (input.trim().startsWith('/log')) {
+        const parts = input.trim().split(/\s+/);
+        const sub = parts[1] || '';
+        if (sub === 'on') {
+          logging.enabled = true;
+          console.log(`[Logging enabled -> ${logging.file}]`);
+        } else if (sub === 'off') {
+          logging.enabled = false;
+          console.log('[Logging disabled]');
+        } else if (sub === 'set') {
+          const fname = parts[2];
+          if (!fname) { console.log('Usage: /log set <filename>'); }
+          else { logging.file = fname; console.log(`[Log file set -> ${logging.file}]`); }
+        } else if (sub === '') {
+          console.log(`[Logging ${logging.enabled ? 'on' : 'off'} -> ${logging.file}]`);
+        } else {
+          console.log('Usage: /log [on|off|set <filename>]');
+        }
+        continue;
+      }
+      if (input.trim().startsWith('/diff')) {
+        const parts = input.trim().split(/\s+/);
+        const sub = parts[1] || '';
+        if (!sub) {
+          console.log(`[Diff preview ${diffPreview.enabled ? 'on' : 'off'}] threshold=${diffPreview.thresholdLines} maxLines=${diffPreview.maxLines}`);
+        } else if (sub === 'on') {
+          diffPreview.enabled = true;
+          console.log('[Diff preview on]');
+          await saveSession();
+        } else if (sub === 'off') {
+          diffPreview.enabled = false;
+          console.log('[Diff preview off]');
+          await saveSession();
+        } else if (sub === 'threshold') {
+          const n = parseInt(parts[2], 10);
+          if (!Number.isInteger(n) || n < 0) console.log('Usage: /diff threshold <n>');
+          else { diffPreview.thresholdLines = n; console.log(`[Diff threshold -> ${n}]`); await saveSession(); }
+        } else if (sub === 'maxlines') {
+          const n = parseInt(parts[2], 10);
+          if (!Number.isInteger(n) || n < 10) console.log('Usage: /diff maxlines <n> (>=10)');
+          else { diffPreview.maxLines = n; console.log(`[Diff max lines -> ${n}]`); await saveSession(); }
+        } else {
+          console.log('Usage: /diff [on|off|threshold <n>|maxlines <n>]');
+        }
+        continue;
+      }
+      if (/^\/image(\s|$)/.test(input.trim())) {
+        const arg = input.trim().slice(6).trim().replace(/^(["'])(.*)\1$/, '$2').replace(/^~(?=$|[\\/])/, os.homedir());
+        if (!arg) {
+          if (!pendingImages.length) console.log('[No images attached]');
+          for (const part of pendingImages) console.log(`  ${describeImage(part)}`);
+        } else if (arg === 'clear') {
+          pendingImages = [];
+          console.log('[Attached images cleared]');
+        } else {
+          try {
+            const part = loadImagePart(arg);
+            pendingImages.push(part);
+            console.log(`[Attached ${describeImage(part)} to your next message]`);
+          } catch (e) {
+            console.error('Error:', e?.message || e);
+          }
+        }
+        continue;
+      }
+      if (/^\/extract(\s|$)/.test(input.trim())) {
+        const reply = lastReply();
+        if (!reply) console.log('[No reply to extract from yet]');
+        else await extractCodeBlocks(reply, input.trim().slice(8).trim() || '.');
+        continue;
+      }
+      if (/^\/config(\s|$)/.test(input.trim())) {
+        const words = input.trim().split(/\s+/).slice(1);
+        const project = words.includes('--project');
+        const [action = 'list', key, ...rest] = words.filter(w => w !== '--project');
+        await runConfigCommand({ action, key, value: rest.join(' '), opts: { project } });
+        continue;
+      }
+      if (input.trim().startsWith('/debug')) {
+        const parts = input.trim().split(/\s+/);
+        const sub = parts[1] || '';
+        if (sub === 'on') { debugEnabled = true; console.log('[Debug on]'); }
+        else if (sub === 'off') { debugEnabled = false; console.log('[Debug off]'); }
+        else { console.log(`[Debug ${debugEnabled ? 'on' : 'off'}]`); }
+        continue;
+      }
+      if (input.trim().startsWith('/provider')) {
+        const name = input.trim().split(/\s+/)[1];
+        const profiles = getProviderProfiles();
+        if (!name) {
+          console.log('[Providers]');
+          for (const [n, p] of Object.entries(profiles)) {
+            const mark = n === activeProvider ? '*' : ' ';
+            console.log(` ${mark} ${n}  ${p.baseURL || 'default endpoint'}  model=${getDefaultModel(n)}${p.apiKeyEnv ? `  key=$${p.apiKeyEnv}` : ''}`);
+          }
+          continue;
+        }
+        try {
+          client = createClient(name);
+          activeProvider = name;
+          options.model = getDefaultModel(name);
+          console.log(`[Provider -> ${name}] [Model -> ${options.model}]`);
+        } catch (e) {
+          console.error(e?.message || e);
+        }
+        continue;
+      }
+      if (input.trim().startsWith('/model')) {
+        const raw = input.trim();
+        const parts = raw.split(/\s+/);
+        const sub = parts[1];
+        if (!sub) {
+          const sys = chatHistory.find(m => m.role === 'system');
+          console.log(`[Provider=${activeProvider}] [Model=${options.model}] [temp=${typeof options.temperature === 'number' ? options.temperature : 'default'}] [maxTokens=${typeof options.maxTokens === 'number' ? options.maxTokens : 'default'}]`);
+          console.log(`Context: ~${estimateRequestTokens()} of ${getContextLimit()} tokens`);
+          console.log(`System: ${sys ? (sys.content || '').slice(0, 120) + ((sys.content || '').length > 120 ? '…' : '') : '(none)'}`);
+          console.log(`Instructions: ${projectInstructions ? `${projectInstructions.file} (${projectInstructions.text.length} chars)` : '(none)'}`);
+          const permissionFlags = [
+            options.allowRead ? 'allowRead' : null,
+            ...(options.allowWrite || []).map(g => `allowWrite ${g}`),
+            ...(options.allowCommand || []).map(c => `allowCommand ${c}`)
+          ].filter(Boolean);
+          const permissionFlagsGiven = ['allowRead', 'allowWrite', 'allowCommand'].some(o => program.getOptionValueSource(o) === 'cli');
+          const rows = [
+            ['provider', activeProvider, settingSources.provider],
+            ['model', options.model, settingSources.model],
+            ['temperature', options.temperature ?? 'default', settingSources.temperature || 'default'],
+            ['maxTokens', options.maxTokens ?? 'default', settingSources.maxTokens || 'default'],
+            ['api', resolveApi(), modelSetting('api').value ? modelSetting('api').source : (isReasoningModel() ? 'default for reasoning models' : 'default')],
+            ['reasoning', isReasoningModel() ? `effort ${modelSetting('reasoningEffort').value || 'default'}, summary ${modelSetting('reasoningSummary').value || 'off'}` : 'n/a',
+              isReasoningModel() ? modelSetting('reasoningEffort').source : 'not a reasoning model'],
+            ['diff', `${diffPreview.enabled ? 'on' : 'off'}, threshold ${diffPreview.thresholdLines}, maxLines ${diffPreview.maxLines}`, settingSources.diff || 'default'],
+            ['permissions', permissionFlags.join('; ') || 'ask', [settingSources.permissions, permissionFlagsGiven ? 'flags' : null].filter(Boolean).join(' + ') || 'default']
+          ];
+          console.log('Settings:');
+          for (const [name, value, source] of rows) console.log(`  ${name.padEnd(12)} ${String(value).padEnd(28)} (${source})`);
+        } else if (sub === 'set') {
+          const id = parts[2];
+          if (!id) console.log('Usage: /model set <id>');
+          else { options.model = id; settingSources.model = '/model set'; console.log(`[Model set -> ${id}]`); }
+        } else if (sub === 'temp') {
+          const v = parseFloat(parts[2]);
+          if (Number.isNaN(v)) console.log('Usage: /model temp <number>');
+          else { options.temperature = v; settingSources.temperature = '/model temp'; console.log(`[Temperature -> ${v}]`); }
+        } else if (sub === 'maxtokens') {
+          const v = parseInt(parts[2], 10);
+          if (Number.isNaN(v)) console.log('Usage: /model maxtokens <number>');
+          else { options.maxTokens = v; settingSources.maxTokens = '/model maxtokens'; console.log(`[Max tokens -> ${v}]`); }
+        } else if (sub === 'api') {
+          const v = parts[2];
+          if (!['chat', 'responses', 'auto'].includes(v)) console.log('Usage: /model api <chat|responses|auto>');
+          else {
+            options.api = v === 'auto' ? undefined : v;
+            settingSources.api = v === 'auto' ? null : '/model api';
+            console.log(`[API -> ${resolveApi()}]`);
+          }
+        } else if (sub === 'effort') {
+          const v = parts[2];
+          const levels = CONFIG_KEYS.reasoningEffort.choices;
+          if (![...levels, 'default'].includes(v)) console.log(`Usage: /model effort <${levels.join('|')}|default>`);
+          else {
+            options.reasoningEffort = v === 'default' ? undefined : v;
+            settingSources.reasoningEffort = v === 'default' ? null : '/model effort';
+            console.log(`[Reasoning effort -> ${v}]`);
+          }
+        } else if (sub === 'systemmsg') {
+          const text = raw.replace(/^\/model\s+systemmsg\s*/, '');
+          const idx = chatHistory.findIndex(m => m.role === 'system');
+          if (idx >= 0) chatHistory[idx].content = text;
+          else chatHistory.unshift({ role: 'system', content: text });
+          await saveSession();
+          console.log('[System message set]');
+        } else if (sub === 'systemclear') {
+          chatHistory = chatHistory.filter(m => m.role !== 'system');
+          await saveSession();
+          console.log('[System message cleared]');
+        } else {
+          console.log('Usage: /model [set <id>|temp <n>|maxtokens <n>|api <chat|responses|auto>|effort <level>|systemmsg <text>|systemclear]');
+        }
+        continue;
+      }
+      if (input.trim().startsWith('/compact')) {
+        const instructions = input.trim().replace(/^\/compact\s*/, '');
+        const before = estimateRequestTokens();
+        try {
+          const count = await compactHistory(chatHistory.length, instructions);
+          if (!count) { console.log('[Nothing to compact]'); continue; }
+          await saveSession();
+          logLine(`CONTEXT compact count=${count} tokens=${before}->${estimateRequestTokens()}`);
+          console.log(`[Compacted ${count} message(s): ~${before} -> ~${estimateRequestTokens()} tokens]`);
+        } catch (e) {
+          reportError(e);
+        }
+        continue;
+      }
+      if (input.trim() === '/usage') {
+        const lastTurn = sessionUsage.reduce((max, u) => Math.max(max, u.turn || 0), 0);
+        console.log('[Last turn]');
+        const last = sessionUsage.filter(u => u.turn === lastTurn);
+        if (last.length) printUsageRows(summarizeUsage(last));
+        else console.log('  (no usage recorded)');
+        console.log(`[Session: ${sessionFile || 'unsaved'}]`);
+        if (sessionUsage.length) printUsageRows(summarizeUsage(sessionUsage));
+        else console.log('  (no usage recorded)');
+        const budget = typeof options.budget === 'number' && !Number.isNaN(options.budget) ? ` of ${formatCost(options.budget)} budget` : '';
+        console.log(`[This run: ${runUsage.calls} call(s), ${formatCost(runUsage.cost)}${budget}]`);
+        continue;
+      }
+      if (input.trim() === '/retry') {
+        // Remove the last assistant message if present; after a failed request the prompt is last and is sent as is
+        for (let i = chatHistory.length - 1; i >= 0; i--) {
+          // A hook's note on the reply goes with it
+          if (chatHistory[i].hookNote) { chatHistory.splice(i, 1); continue; }
+          if (chatHistory[i].role === 'user' && !chatHistory[i].toolImages) break;
+          if (chatHistory[i].role === 'assistant') { chatHistory.splice(i, 1); break; }
+        }
+        await runCancellable();
+        continue;
+      }
+      if (input.trim() === '/edit') {
+        // Edit last user message, drop messages after it, then re-run
+        let lastUserIndex = -1;
+        for (let i = chatHistory.length - 1; i >= 0; i--) {
+          if (chatHistory[i].role === 'user' && !chatHistory[i].toolImages && !chatHistory[i].hookNote) { lastUserIndex = i; break; }
+        }
+        if (lastUserIndex === -1) { console.error('No user message to edit.'); continue; }
+        const newMsg = await ask('New message: ');
+        chatHistory = chatHistory.slice(0, lastUserIndex + 1);
+        // Attached images stay with the edited message
+        const previous = chatHistory[lastUserIndex].content;
+        const images = Array.isArray(previous) ? previous.filter(p => p.type === 'image') : [];
+        chatHistory[lastUserIndex].content = images.length ? [{ type: 'text', text: buildUserContent(newMsg) }, ...images] : buildUserContent(newMsg);
+        await runCancellable();
+        continue;
+      }
+      if (input.trim() === '/reset') {
+        // Clear chat history (preserve system message) and tool state
+        chatHistory = chatHistory.filter(m => m.role === 'system');
+        permissionRules.session = [];
+        debugEnabled = false;
+        logging.enabled = false;
         await saveSession();
-      } else if (sub === 'threshold') {
-        const n = parseInt(parts[2], 10);
-        if (!Number.isInteger(n) || n < 0) console.log('Usage: /diff threshold <n>');
-        else { diffPreview.thresholdLines = n; console.log(`[Diff threshold -> ${n}]`); await saveSession(); }
-      } else if (sub === 'maxlines') {
-        const n = parseInt(parts[2], 10);
-        if (!Number.isInteger(n) || n < 10) console.log('Usage: /diff maxlines <n> (>=10)');
-        else { diffPreview.maxLines = n; console.log(`[Diff max lines -> ${n}]`); await saveSession(); }
-      } else {
-        console.log('Usage: /diff [on|off|threshold <n>|maxlines <n>]');
+        console.log('[Reset: cleared chat history and tool state]');
+        continue;
       }
-      continue;
+      if (input.trim() === '/restart') {
+        // Clear screen, tool state, and permissions (do not modify chat history)
+        if (typeof console.clear === 'function') console.clear();
+        else process.stdout.write('\x1b[2J\x1b[H');
+        permissionRules.session = [];
+        debugEnabled = false;
+        logging.enabled = false;
+        console.log('[Restarted: cleared screen and tool state]');
+        continue;
+      }
+      if (input.trim() === '/clear') {
+        // Clear the terminal screen
+        if (typeof console.clear === 'function') console.clear();
+        else process.stdout.write('\x1b[2J\x1b[H');
+        continue;
+      }
+      if (input.trim().startsWith('/mcp')) {
+        const parts = input.trim().split(/\s+/);
+        if (parts[1] === 'restart') {
+          const server = mcpServers.get(parts[2]);
+          const config = server ? server.config : readConfig().mcpServers?.[parts[2]];
+          if (!config) {
+            console.log('Usage: /mcp restart <server>');
+            continue;
+          }
+          if (server) stopMcpServer(server);
+          const restarted = await startMcpServer(parts[2], config);
+          if (restarted.status === 'running') console.log(`[MCP server ${parts[2]}: ${restarted.tools.length} tool(s)]`);
+          else console.log(`[MCP server ${parts[2]} ${restarted.status}: ${restarted.error}]`);
+          continue;
+        }
+        if (!mcpServers.size) {
+          console.log('[No MCP servers configured. Add "mcpServers" to config.json]');
+          continue;
+        }
+        for (const server of mcpServers.values()) {
+          const info = server.serverInfo ? ` ${server.serverInfo.name || ''}${server.serverInfo.version ? ` ${server.serverInfo.version}` : ''}` : '';
+          console.log(`${server.name}  ${server.status}${server.child?.pid ? ` (pid ${server.child.pid})` : ''}${info}${server.error ? ` - ${server.error}` : ''}`);
+          for (const t of server.tools) {
+            const desc = t.description.split('\n')[0];
+            console.log(`  ${t.exposedName}${desc ? `  ${desc.length > 80 ? desc.slice(0, 80) + '…' : desc}` : ''}`);
+          }
+        }
+        continue;
+      }
+      if (input.trim() === '/ps') {
+        if (!backgroundProcesses.size) console.log('[No background processes]');
+        for (const proc of backgroundProcesses.values()) {
+          console.log(`#${proc.id}  pid ${proc.child.pid}  ${proc.exited ? `exited ${proc.exitCode}` : 'running'}  ${proc.command}`);
+        }
+        continue;
+      }
+      if (input.trim().startsWith('/kill')) {
+        const id = Number(input.trim().split(/\s+/)[1]);
+        const proc = backgroundProcesses.get(id);
+        if (!proc) console.log('Usage: /kill <id> (see /ps)');
+        else {
+          await stopProcess(proc);
+          console.log(`[Stopped background process #${id}]`);
+        }
+        continue;
+      }
+      if (input.trim() === '/exit') break;
+      if (input.trim().startsWith('/')) {
+        const cmd = input.trim().split(/\s+/)[0];
+        const custom = loadCustomCommands().get(cmd.slice(1));
+        if (custom) {
+          const { text, overrides } = expandCustomCommand(custom, splitCommandArgs(input.trim().slice(cmd.length)));
+          await withPromptOverrides(overrides, () => agenticExchange(text));
+          continue;
+        }
+        console.error(`Unknown command: ${cmd}. Type /help for commands.`);
+        continue;
+      }
+      await agenticExchange(input);
+    } catch (e) {
+      // A failing command (a session write, a bad config file, ...) is reported and the REPL carries on
+      reportError(e);
     }
-    if (input.trim().startsWith('/debug')) {
-      const parts = input.trim().split(/\s+/);
-      const sub = parts[1] || '';
-      if (sub === 'on') { debugEnabled = true; console.log('[Debug on]'); }
-      else if (sub === 'off') { debugEnabled = false; console.log('[Debug off]'); }
-      else { console.log(`[Debug ${debugEnabled ? 'on' : 'off'}]`); }
-      continue;
+  }
+  await stopAllProcesses();
+  stopMcpServers();
+  promptInterface = null;
+  rl.close();
+}
+
+function formatConfigValue(value) {
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+// Flatten to dotted keys; sections and unknown objects are walked, arrays are leaves
+function flattenConfig(cfg, prefix = '', out = []) {
+  for (const [k, v] of Object.entries(cfg)) {
+    const key = prefix ? `${prefix}.${k}` : k;
+    if (isPlainObject(v) && Object.keys(v).length && !CONFIG_KEYS[key]) flattenConfig(v, key, out);
+    else out.push([key, v]);
+  }
+  return out;
+}
+
+function configFileFor(opts) {
+  return opts.project ? (getProjectConfigPath() || path.resolve('.gpt', 'config.json')) : getConfigPath();
+}
+
+function readConfigFile(file) {
+  if (!fs.existsSync(file)) return {};
+  let cfg;
+  try {
+    cfg = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new Error(`${file} is not valid JSON: ${e.message}`);
+  }
+  if (!isPlainObject(cfg)) throw new Error(`${file} does not contain a JSON object`);
+  return cfg;
+}
+
+// gpt trust [dir] [--revoke|--list]: trustedProjects lives in the global config only
+function runTrustCommand({ dir, opts = {} }) {
+  const trusted = getTrustedProjects();
+  if (opts.list) {
+    if (!trusted.length) console.log('[No trusted projects]');
+    for (const d of trusted) console.log(d);
+    return true;
+  }
+  const target = canonicalDir(dir || getProjectDir());
+  const cfg = readGlobalConfig();
+  const others = trusted.filter(d => canonicalDir(d) !== target);
+  if (opts.revoke) {
+    if (others.length === trusted.length) {
+      console.log(`[${target} is not trusted]`);
+      return true;
     }
-    if (input.trim().startsWith('/model')) {
-      const raw = input.trim();
-      const parts = raw.split(/\s+/);
-      const sub = parts[1];
-      if (!sub) {
-        const sys = chatHistory.find(m => m.role === 'system');
-        console.log(`[Model=${options.model}] [temp=${typeof options.temperature === 'number' ? options.temperature : 'default'}] [maxTokens=${typeof options.maxTokens === 'number' ? options.maxTokens : 'default'}]`);
-        console.log(`System: ${sys ? (sys.content || '').slice(0, 120) + ((sys.content || '').length > 120 ? '…' : '') : '(none)'}`);
-      } else if (sub === 'set') {
-        const id = parts[2];
-        if (!id) console.log('Usage: /model set <id>');
-        else { options.model = id; console.log(`[Model set -> ${id}]`); }
-      } else if (sub === 'temp') {
-        const v = parseFloat(parts[2]);
-        if (Number.isNaN(v)) console.log('Usage: /model temp <number>');
-        else { options.temperature = v; console.log(`[Temperature -> ${v}]`); }
-      } else if (sub === 'maxtokens') {
-        const v = parseInt(parts[2], 10);
-        if (Number.isNaN(v)) console.log('Usage: /model maxtokens <number>');
-        else { options.maxTokens = v; console.log(`[Max tokens -> ${v}]`); }
-      } else if (sub === 'systemmsg') {
-        const text = raw.replace(/^\/model\s+systemmsg\s*/, '');
-        const idx = chatHistory.findIndex(m => m.role === 'system');
-        if (idx >= 0) chatHistory[idx].content = text;
-        else chatHistory.unshift({ role: 'system', content: text });
-        await saveSession();
-        console.log('[System message set]');
-      } else if (sub === 'systemclear') {
-        chatHistory = chatHistory.filter(m => m.role !== 'system');
-        await saveSession();
-        console.log('[System message cleared]');
-      } else {
-        console.log('Usage: /model [set <id>|temp <n>|maxtokens <n>|systemmsg <text>|systemclear]');
+    cfg.trustedProjects = others;
+    if (!writeConfig(cfg)) return false;
+    console.log(`[No longer trusted: ${target}]`);
+    return true;
+  }
+  if (others.length < trusted.length) {
+    console.log(`[Already trusted: ${target}]`);
+    return true;
+  }
+  cfg.trustedProjects = [...trusted, target];
+  if (!writeConfig(cfg)) return false;
+  console.log(`[Trusted: ${target}. Its hooks, MCP servers, custom tools, providers and permission allow rules now load.]`);
+  return true;
+}
+
+// gpt config list|get|set|unset|edit|keys, also reachable as /config in the REPL. Returns false on failure.
+async function runConfigCommand({ action, key, value, opts = {} }) {
+  const usage = 'Usage: config [list|get <key>|set <key> <value>|unset <key>|edit|keys] [--project]';
+  if ((['get', 'set', 'unset'].includes(action) && !key) || (action === 'set' && !value)) {
+    console.error(usage);
+    return false;
+  }
+  try {
+    if (action === 'keys') {
+      for (const [k, spec] of Object.entries(CONFIG_KEYS)) {
+        console.log(`${k.padEnd(26)} ${spec.type.padEnd(9)} ${spec.description}  (${spec.globalOnly ? 'global config only' : configEnvName(k)})`);
       }
-      continue;
+      console.log(`${CONFIG_SECTIONS.join(', ')}: free-form JSON sections, e.g. gpt config set providers.local.baseURL http://localhost:11434/v1`);
+      return true;
     }
-    if (input.trim() === '/retry') {
-      // Remove last assistant message if present
-      for (let i = chatHistory.length - 1; i >= 0; i--) {
-        if (chatHistory[i].role === 'assistant') { chatHistory.splice(i, 1); break; }
+    if (action === 'list') {
+      const file = opts.project ? getProjectConfigPath() : opts.global ? getConfigPath() : null;
+      const cfg = opts.project || opts.global ? (file ? readConfigFile(file) : {}) : readConfig();
+      const entries = flattenConfig(cfg);
+      if (!entries.length) console.log(`[No settings${file || opts.project ? ` in ${file || 'a project config'}` : ''}]`);
+      for (const [k, v] of entries) {
+        const source = file ? '' : `  (${configSource(k.split('.')) || 'default'})`;
+        console.log(`${k} = ${formatConfigValue(v)}${source}`);
       }
-      await runModelWithTools();
-      continue;
+      return true;
     }
-    if (input.trim() === '/edit') {
-      // Edit last user message, drop messages after it, then re-run
-      let lastUserIndex = -1;
-      for (let i = chatHistory.length - 1; i >= 0; i--) {
-        if (chatHistory[i].role === 'user') { lastUserIndex = i; break; }
+    if (action === 'get') {
+      const v = getConfigValue(readConfig(), key);
+      if (v === undefined) {
+        console.error(`${key} is not set`);
+        return false;
       }
-      if (lastUserIndex === -1) { console.error('No user message to edit.'); continue; }
-      const newMsg = await ask('New message: ');
-      chatHistory = chatHistory.slice(0, lastUserIndex + 1);
-      chatHistory[lastUserIndex].content = buildUserContent(newMsg);
-      await runModelWithTools();
-      continue;
+      console.log(isPlainObject(v) ? JSON.stringify(v, null, 2) : formatConfigValue(v));
+      return true;
     }
-    if (input.trim() === '/reset') {
-      // Clear chat history (preserve system message) and tool state
-      chatHistory = chatHistory.filter(m => m.role === 'system');
-      const cache = (runLocalTool._permCache ||= { read: new Set(), write: new Set() });
-      cache.read.clear();
-      cache.write.clear();
-      debugEnabled = false;
-      logging.enabled = false;
-      await saveSession();
-      console.log('[Reset: cleared chat history and tool state]');
-      continue;
-    }
-    if (input.trim() === '/restart') {
-      // Clear screen, tool state, and permissions (do not modify chat history)
-      if (typeof console.clear === 'function') console.clear();
-      else process.stdout.write('\x1b[2J\x1b[H');
-      const cache = (runLocalTool._permCache ||= { read: new Set(), write: new Set() });
-      cache.read.clear();
-      cache.write.clear();
-      debugEnabled = false;
-      logging.enabled = false;
-      console.log('[Restarted: cleared screen and tool state]');
-      continue;
-    }
-    if (input.trim() === '/clear') {
-      // Clear the terminal screen
-      if (typeof console.clear === 'function') console.clear();
-      else process.stdout.write('\x1b[2J\x1b[H');
-      continue;
+    if (action === 'set' || action === 'unset') {
+      validateConfigKey(key);
+      if (action === 'set' && opts.project) {
+        if (isGlobalOnlyKey(key)) throw new Error(`${key} approves tool calls or widens the sandbox, so only the global config (or its flag) can set it`);
+        const root = key.split('.')[0];
+        if (!PROJECT_CONFIG_KEYS.includes(root) && !TRUSTED_PROJECT_KEYS.includes(root)) throw new Error(`${key} is not read from a project config; set it without --project`);
+      }
+      const file = configFileFor(opts);
+      const cfg = readConfigFile(file);
+      if (action === 'unset') {
+        if (!unsetConfigValue(cfg, key)) {
+          console.log(`[${key} is not set in ${file}]`);
+          return true;
+        }
+      } else {
+        const parsed = parseConfigValue(key, value);
+        if (key === 'defaultProvider' && !getProviderProfiles()[parsed] && !cfg.providers?.[parsed]) {
+          throw new Error(`Unknown provider "${parsed}". Define it under "providers" first.`);
+        }
+        setConfigValue(cfg, key, parsed);
+      }
+      if (!writeConfig(cfg, file)) return false;
+      console.log(action === 'set' ? `[${key} = ${formatConfigValue(getConfigValue(cfg, key))} -> ${file}]` : `[Unset ${key} in ${file}]`);
+      const env = configEnvName(key);
+      if (process.env[env] !== undefined) console.log(`[Note: ${env} is set and overrides this value]`);
+      const projectDir = path.dirname(path.dirname(file));
+      if (action === 'set' && opts.project && TRUSTED_PROJECT_KEYS.includes(key.split('.')[0]) && !isTrustedProject(projectDir)) {
+        console.log(`[Note: ${projectDir} is not trusted, so ${key} is ignored until you run "gpt trust ${projectDir}"]`);
+      }
+      return true;
     }
-    if (input.trim() === '/exit') break;
-    if (input.trim().startsWith('/')) {
-      const cmd = input.trim().split(/\s+/)[0];
-      console.error(`Unknown command: ${cmd}. Type /help for commands.`);
-      continue;
+    if (action === 'edit') {
+      const file = configFileFor(opts);
+      if (!fs.existsSync(file)) writeConfig({}, file);
+      const editor = process.env.VISUAL || process.env.EDITOR || (process.platform === 'win32' ? 'notepad' : 'vi');
+      const code = await new Promise((resolve) => {
+        const child = spawn(`${editor} ${shellQuote(file)}`, { shell: true, stdio: 'inherit' });
+        child.on('error', () => resolve(1));
+        child.on('close', (c) => resolve(c ?? 1));
+      });
+      if (code !== 0) throw new Error(`${editor} exited with code ${code}`);
+      const cfg = readConfigFile(file);
+      const problems = [];
+      for (const [k, v] of flattenConfig(cfg)) {
+        try { validateConfigKey(k); } catch (_) { problems.push(`unknown key ${k}`); continue; }
+        if (!configValueValid(k, v)) problems.push(`${k} should be ${CONFIG_KEYS[k].type}`);
+      }
+      for (const p of problems) console.error(`Warning: ${p} (${file})`);
+      console.log(`[Saved ${file}]`);
+      return true;
     }
-    await agenticExchange(input);
+    console.error(usage);
+    return false;
+  } catch (e) {
+    console.error('Error:', e?.message || e);
+    return false;
   }
-  rl.close();
 }
 
 async function main() {
@@ -1210,12 +5314,55 @@ async function main() {
     return; // process will exit in handler
   }
 
+  if (subcommand?.name === 'export') {
+    const file = fs.existsSync(subcommand.session) ? subcommand.session : resolveSessionPath(subcommand.session);
+    try {
+      const { text } = exportSession(readSessionPayload(file), `Session: ${sessionName(file)}`, subcommand.opts);
+      if (subcommand.opts.out) {
+        fs.writeFileSync(subcommand.opts.out, text);
+        console.log(`Exported ${file} -> ${subcommand.opts.out}`);
+      } else {
+        process.stdout.write(text);
+      }
+    } catch (e) {
+      console.error('Error:', e?.message || e);
+      process.exitCode = 1;
+    }
+    return;
+  }
+
+  if (subcommand?.name === 'sessions-list') {
+    printSessions();
+    return;
+  }
+
+  if (subcommand?.name === 'usage') {
+    showGlobalUsage(subcommand.opts.days);
+    return;
+  }
+
+  if (subcommand?.name === 'config') {
+    if (!await runConfigCommand(subcommand)) process.exitCode = 1;
+    return;
+  }
+
+  if (subcommand?.name === 'trust') {
+    if (!runTrustCommand(subcommand)) process.exitCode = 1;
+    return;
+  }
+
+  if (options.printConfig) {
+    const layers = [getConfigPath(), getProjectConfigPath()].filter(f => f && fs.existsSync(f));
+    layers.push(...envConfigOverrides(readConfig()).map(o => o.name));
+    console.error(`[Layers: ${layers.length ? layers.join(', ') : 'none'}]`);
+    console.log(JSON.stringify(readConfig(), null, 2));
+    return;
+  }
+
   if (options.setDefaultModel) {
-    const cfg = readConfig();
-    cfg.defaultModel = options.setDefaultModel;
-    const ok = writeConfig(cfg);
+    const ok = setDefaultModel(activeProvider, options.setDefaultModel);
     if (ok) {
-      console.log(`Default model set to ${options.setDefaultModel}`);
+      console.log(`Default model for ${activeProvider} set to ${options.setDefaultModel}`);
       process.exit(0);
     } else {
       process.exit(1);
@@ -1223,7 +5370,33 @@ async function main() {
     return;
   }
 
+  try {
+    client = createClient(activeProvider);
+  } catch (e) {
+    console.error('Error:', e?.message || e);
+    process.exit(e?.exitCode || EXIT_CODES.error);
+  }
+
   const interactiveRequested = options.interactive || (!prompt && process.stdin.isTTY);
+  if (interactiveRequested && structuredOutput) {
+    console.error('Error: --json and --schema only apply to one-shot prompts.');
+    process.exit(1);
+  }
+  if (options.extract && (options.dev || structuredOutput)) {
+    console.error(`Error: --extract needs the reply's code fences and cannot be combined with ${options.dev ? '--dev' : '--json/--schema'}.`);
+    process.exit(1);
+  }
+  for (const file of options.image || []) {
+    try {
+      pendingImages.push(loadImagePart(file));
+    } catch (e) {
+      console.error('Error:', e?.message || e);
+      process.exit(1);
+    }
+  }
+
+  await startMcpServers();
+
   if (interactiveRequested) {
     await startInteractive();
     return;
@@ -1234,7 +5407,26 @@ async function main() {
     process.exit(1);
   }
 
+  if (/^\/[\w-]+$/.test(prompt)) {
+    const custom = loadCustomCommands().get(prompt.slice(1));
+    if (!custom) {
+      console.error(`Error: Unknown command ${prompt}. Commands are read from ${path.join(getConfigDir(), 'commands')} and .gpt/commands.`);
+      process.exit(1);
+    }
+    const { text, overrides } = expandCustomCommand(custom, promptArgs);
+    await withPromptOverrides(overrides, () => chatOnce(text));
+    return;
+  }
+  if (promptArgs.length) {
+    console.error('Error: Too many arguments. Quote the prompt, e.g. gpt "explain this error".');
+    process.exit(1);
+  }
+
   await chatOnce(prompt);
 }
 
-main();
+// Anything not handled on the way (a config or session file that cannot be read or written, ...) still gets
+// a message and its exit code instead of an unhandled rejection
+main().catch((err) => {
+  process.exit(reportError(err).exitCode);
+});